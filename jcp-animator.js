@@ -7,6 +7,8 @@
  * to the same input event.
  *
  * @requires jcparallax.js
+ * @requires jcp-tween.js
+ * @requires jcp-timeline.js
  * @requires jcp-viewport.js
  * @requires jcp-layer.js
  * @author Sam Pospischil <pospi@spadgos.com>
@@ -18,46 +20,65 @@ jcparallax.Animator = function(layer, options)
 	var defaults = {
 		movementRangeX : true,	// autodetect
 		movementRangeY : true,
+		movementUnit : null,	// CSS unit for handlers which output lengths to output them in. Defaults to px.
 
-		inputEvent : 'mousemove',
+		inputEvent : null,		// inferred from inputHandler when not given
+		inputTarget : null,		// element to bind inputEvent to. Defaults to the viewport element.
 		inputHandler : 'mousemove',
 
 		animHandler : 'position',
+
+		blendMode : 'average',	// how our output combines with other animators on the layer writing the same properties
+		blendWeight : 1,
+
+		leaveBehaviour : 'stay',	// what to do when the pointer leaves the viewport - 'stay', 'snap' or 'drift' to restPosition
+		pauseBehaviour : 'stay',	// what to do when paused - 'stay' frozen, or 'snap' or 'drift' to restPosition
+		restPosition : [0.5, 0.5],
+		leaveDuration : 800,		// time taken to drift back to restPosition, in ms
+		leaveEasing : 'easeInOut',
+		enterDuration : 0,			// time taken to ease toward the pointer when it re-enters the viewport, in ms
+		enterEasing : 'easeOut',
+
+		dragFriction : 0.004,		// proportion of 'drag' momentum lost per ms after release
+		pinchRange : [0.5, 2],		// scale range of pinch gestures mapped to X input by the 'gesture' handler
+		rotateRange : [-180, 180],	// rotation range of two-finger gestures mapped to Y input by the 'gesture' handler
+
+		tiltRange : 30,				// degrees of device tilt either side of neutral mapped to the full input range by the 'deviceorientation' handler
+		pageScrollOffsets : [0, 0],	// distances inside the window's edges at which 'pagescroll' input begins and ends, in px
+
+		responseX : null,			// response curve mapping X input before it is passed to the animHandler. @see jcparallax.Animator.responseCurves
+		responseY : null,
+		swapAxes : false,			// swap the X and Y input before mapping
+
+		timeline : null,			// keyframes & playback options for the 'timeline' input handler. @see jcparallax.Timeline
+
+		smoothing : null,			// physics model for easing rendered input toward sampled input. @see jcparallax.Animator.smoothers
+		smoothingTime : 250,		// approximate time taken to catch up to the input, in ms
+		smoothingFriction : 0.004	// proportion of velocity lost per ms with 'inertia' smoothing
 	};
 
 	this.layer = layer;
 	this.viewport = layer.viewport;
 	options = $.extend(true, defaults, options);
 
-	// set default range calculation callbacks for builtin animHandlers passed as strings
-	if (options.movementRangeX === true || options.movementRangeY === true && !$.isFunction(options.animHandler)) {
-		// infer layer movement range calculators for builtin animation handlers
-		switch (options.animHandler) {
-			case 'position':
-			case 'padding':
-			case 'margins':
-			case 'background':
-			case 'stretch':
-				switch (options.inputHandler) {
-					case 'scroll':
-						options.movementRangeX = jcparallax.Layer.rangeCalculators.scrollWidth;
-						options.movementRangeY = jcparallax.Layer.rangeCalculators.scrollHeight;
-						break;
-					default:
-						options.movementRangeX = jcparallax.Layer.rangeCalculators.width;
-						options.movementRangeY = jcparallax.Layer.rangeCalculators.height;
-						break;
-				}
-				break;
-			case 'textShadow':
-				options.movementRangeX = jcparallax.Layer.rangeCalculators.fontSize;
-				options.movementRangeY = jcparallax.Layer.rangeCalculators.lineHeight;
-				break;
-			case 'opacity':
-				options.movementRangeX = [0, 0];
-				options.movementRangeY = jcparallax.Layer.rangeCalculators.opacity;
-				break;
-		}
+	// interpret animation handler
+	this.handler = jcparallax.Animator.getAnimHandler(options.animHandler);
+	if (!this.handler) {
+		$.error('Animation handler ' + options.animHandler + ' does not exist in jcparallax');
+	}
+	this.animHandler = this.handler.output;
+
+	// set default range calculators & output unit from the handler where not given
+	var ranges = this.handler.ranges || null;
+	if (ranges) {
+		ranges = (typeof options.inputHandler == 'string' && ranges[options.inputHandler]) || ranges['default'];
+	}
+
+	if (options.movementRangeX === true) {
+		options.movementRangeX = ranges ? ranges[0] : [0, 1];
+	}
+	if (options.movementRangeY === true) {
+		options.movementRangeY = ranges ? ranges[1] : [0, 1];
 	}
 	if (typeof options.movementRangeX == 'string') {
 		options.movementRangeX = jcparallax.Layer.rangeCalculators[options.movementRangeX];
@@ -66,28 +87,40 @@ jcparallax.Animator = function(layer, options)
 		options.movementRangeY = jcparallax.Layer.rangeCalculators[options.movementRangeY];
 	}
 
-	// interpret animation handler
-	if ($.isFunction(options.animHandler)) {			// custom handler callback
-		this.animHandler = options.animHandler;
-	} else {												// single callback from the predefined set
-		this.animHandler = jcparallax.Animator.animHandlers[options.animHandler];
+	this.unit = this._getOutputUnit(options.movementUnit);
+
+	if (options.timeline) {
+		this.timeline = new jcparallax.Timeline(options.timeline);
 	}
 
+	// interpret response curves
+	this.responseX = jcparallax.Animator.getResponseCurve(options.responseX);
+	this.responseY = jcparallax.Animator.getResponseCurve(options.responseY);
+
 	this.options = options;
 
 	// refresh target element coordinates
 	this.refreshCoords();
 
 	// bind input events
-	this.bindEvent(options.inputEvent, options.inputHandler);
+	this.bindEvent(options.inputEvent, options.inputHandler, options.inputTarget);
 };
 
 $.extend(jcparallax.Animator.prototype, {
 
 	inputEvent : null,		// DOM input event this animation is bound to
+	inputTarget : null,		// element the input event is bound to - usually the viewport element
 	inputHandler : null,	// input event handler callback to output range normalised value
+	inputSampler : null,	// reads input without waiting for an event, for passive input handlers. @see jcparallax.Viewport.passiveInputs
+	inputTicker : null,		// reads input on every tick of the viewport's timer, for timed input handlers. @see jcparallax.Viewport.timedInputs
+	inputActive : null,		// callback returning true whilst timed input is still changing
+	touchAction : null,		// touch-action CSS our input handler needs on the viewport. @see jcparallax.Viewport.touchActions
+	handler : null,			// animation handler descriptor. @see jcparallax.Animator.animHandlers
+	unit : null,			// CSS unit our output lengths are in, or null if the handler doesn't output lengths
 	animHandler : null,		// animation update handler callback
 
+	enabled : true,		// false when paused, to ignore input
+
 	minX : null,
 	minY : null,
 	rangeX : null,	// scaling factors for the animation over input 0-1
@@ -98,34 +131,215 @@ $.extend(jcparallax.Animator.prototype, {
 	lastSampledY : 0,
 	lastProcessedX : 0,
 	lastProcessedY : 0,
+	lastOutput : null,	// raw handler output for the last processed input
+
+	// response curve callbacks for each axis, if any
+	responseX : null,
+	responseY : null,
+
+	// input values after smoothing, when the smoothing option is enabled. Each holds a value and velocity.
+	smoothedX : null,
+	smoothedY : null,
+
+	tween : null,		// jcparallax.Tween currently animating our sampled input, if any
+	arrival : null,		// jQuery.Deferred for the animateTo() call in progress, if any
+	arrivalDrawn : false,	// true once the final frame of the animateTo() call has been drawn, whilst it transitions
+	momentum : null,	// velocity of input in units / ms, decaying each frame. Used by the 'drag' input handler.
+	gesture : null,		// state storage for input handlers which track gestures over multiple events
+	timeline : null,	// jcparallax.Timeline played back by the 'timeline' input handler, when the timeline option is given
+	neutralInput : null,	// raw reading considered the resting position by calibrated input handlers, eg. 'deviceorientation'
+
+	exitEvents : null,	// DOM events bound to detect the pointer entering & leaving the viewport
+	exitHandler : null,
+	entering : false,	// true while easing input toward the pointer after it re-enters the viewport
+	enterTween : null,
+	leaveTween : null,	// tween drifting input back to restPosition after the pointer left the viewport, if running
 
 	/**
 	 * Binds the DOM event responsible for handling our updates
 	 * @param  {string}   eventName name of the DOM event to bind to for updates
 	 * @param  {function} handler   Callback for handling the event.
 	 *                              Accepts the bound layer element, x position (0 <= x <= 1), y position and event object as parameters.
+	 * @param  {mixed}    target    (optional) element to bind the event to, if not the viewport element
 	 */
-	bindEvent : function(eventName, handler)
+	bindEvent : function(eventName, handler, target)
 	{
-		var that = this;
-		eventName += jcparallax.eventNamespace;
+		var that = this,
+			passive = false,
+			timed = null;
 
-		// infer handler from predefined set if a string
+		// infer handler, event name & target from predefined set if a string
+		this.touchAction = null;
 		if (typeof handler == 'string') {
+			passive = !!jcparallax.Viewport.passiveInputs[handler];
+			timed = jcparallax.Viewport.timedInputs[handler] || null;
+			this.touchAction = jcparallax.Viewport.touchActions[handler] || null;
+			if (!eventName) {
+				eventName = jcparallax.Viewport.inputEvents[handler] || handler;
+			}
+			if (!target) {
+				target = jcparallax.Viewport.inputTargets[handler];
+			}
 			handler = jcparallax.Viewport.inputHandlers[handler];
 		}
 
+		// namespace each event, since handlers may bind to several
+		eventName = $.map((eventName || 'mousemove').split(' '), function(name) {
+			return name + jcparallax.eventNamespace;
+		}).join(' ');
+
 		// detach old callback first if present
 		if (this.inputHandler && this.inputEvent) {
-			this.viewport.element.off(this.inputEvent, this.inputHandler);
+			this.inputTarget.off(this.inputEvent, this.inputHandler);
 		}
 
 		// create new callback & bind it to the viewport
 		this.inputHandler = function(e) {
-			handler.call(that, that.viewport.element, e);
+			if (that.enabled && that.viewport.enabled) {
+				handler.call(that, that.viewport.element, e);
+			}
 		};
+		this.inputTarget = target ? $(target) : this.viewport.element;
+
+		// timed input is read from the viewport's timer instead of any DOM event
+		this.inputTicker = this.inputActive = null;
+		if (timed) {
+			this.inputEvent = null;
+			this.inputActive = timed;
+			this.inputTicker = function(dt) {
+				that.inputHandler($.Event('tick', { frameDuration : dt }));
+			};
+			this._bindExitEvents([]);
+			return;
+		}
+
 		this.inputEvent = eventName;
-		this.viewport.element.on(eventName, this.inputHandler);
+		this.inputTarget.on(eventName, this.inputHandler);
+
+		// read passive input straight away
+		this.inputSampler = null;
+		if (passive) {
+			this.inputSampler = function() {
+				that.inputHandler($.Event('refresh'));
+			};
+			this.inputSampler();
+		}
+
+		this._bindExitEvents(eventName.split(jcparallax.eventNamespace).join('').split(' '));
+	},
+
+	/**
+	 * Unbind all of our DOM event handlers and stop any running input animation
+	 */
+	destroy : function()
+	{
+		if (this.inputHandler && this.inputEvent) {
+			this.inputTarget.off(this.inputEvent, this.inputHandler);
+		}
+		if (this.exitHandler) {
+			this.viewport.element.off(this.exitEvents, this.exitHandler);
+		}
+		this.inputHandler = this.exitHandler = this.inputSampler = this.inputTicker = null;
+		this.tween = this.momentum = this.gesture = null;
+		this.cancelArrival();
+	},
+
+	/**
+	 * Stop responding to input, leaving the rest of the layer animating. Input is frozen
+	 * or returned to restPosition according to the pauseBehaviour option.
+	 *
+	 * @param {string} behaviour (optional) 'stay', 'snap' or 'drift', to override the pauseBehaviour option
+	 */
+	pause : function(behaviour)
+	{
+		this.enabled = false;
+		this.entering = false;
+		this.enterTween = null;
+		this.gesture = null;
+
+		behaviour = behaviour || this.options.pauseBehaviour;
+		if (behaviour == 'stay') {
+			this.tween = this.momentum = null;
+			this.cancelArrival();
+		} else {
+			this.returnToRest(behaviour);
+		}
+	},
+
+	/**
+	 * Begin responding to input again after pause()
+	 */
+	resume : function()
+	{
+		this.enabled = true;
+	},
+
+	toggle : function(behaviour)
+	{
+		if (this.enabled) {
+			this.pause(behaviour);
+		} else {
+			this.resume();
+		}
+	},
+
+	/**
+	 * Handles the pointer leaving the viewport, according to our leaveBehaviour option.
+	 */
+	pointerLeave : function()
+	{
+		this.entering = false;
+		this.enterTween = null;
+
+		this.returnToRest(this.options.leaveBehaviour);
+		this.leaveTween = this.options.leaveBehaviour == 'drift' ? this.tween : null;
+	},
+
+	/**
+	 * Return input to our restPosition, either immediately ('snap') or by tweening over
+	 * the leaveDuration ('drift'). Any other behaviour leaves input where it is.
+	 *
+	 * @param {string} behaviour
+	 */
+	returnToRest : function(behaviour)
+	{
+		var rest = this.options.restPosition;
+
+		switch (behaviour) {
+			case 'snap':
+				this.tween = this.momentum = null;
+				this.cancelArrival();
+				this.lastSampledX = rest[0];
+				this.lastSampledY = rest[1];
+				this.wake();
+				break;
+			case 'drift':
+				this.momentum = null;
+				this.tweenTo(rest[0], rest[1], this.options.leaveDuration, this.options.leaveEasing);
+				break;
+		}
+	},
+
+	/**
+	 * Handles the pointer re-entering the viewport. When the enterDuration option is set,
+	 * the next input samples are eased toward rather than jumped to.
+	 */
+	pointerEnter : function()
+	{
+		if (this.options.enterDuration) {
+			this.entering = true;
+		} else {
+			this._stopLeaveTween();
+		}
+	},
+
+	// stop drifting back to restPosition, so that the pointer takes over again
+	_stopLeaveTween : function()
+	{
+		if (this.leaveTween && this.tween === this.leaveTween) {
+			this.tween = null;
+		}
+		this.leaveTween = null;
 	},
 
 	/**
@@ -135,17 +349,274 @@ $.extend(jcparallax.Animator.prototype, {
 	 */
 	updateLastSamplePos : function(xVal, yVal)
 	{
+		jcparallax.trigger(this.layer.element, 'inputchange', { animator : this, sampledX : xVal, sampledY : yVal });
+
+		// ease toward the pointer after it re-enters the viewport
+		if (this.entering) {
+			if (this.tween && this.tween === this.enterTween) {
+				this.tween.setTarget(xVal, yVal);
+			} else {
+				this.tweenTo(xVal, yVal, this.options.enterDuration, this.options.enterEasing);
+				this.enterTween = this.tween;
+			}
+			this.wake();
+			return;
+		}
+
+		// input arriving from the pointer means it's back, even if we didn't see it re-enter
+		this._stopLeaveTween();
+
 		this.lastSampledX = xVal;
 		this.lastSampledY = yVal;
+		this.wake();
+	},
+
+	/**
+	 * Set the sampled input position directly, as though it had been read from an input event.
+	 * Any input animation in progress is stopped. Input is accepted even whilst paused.
+	 *
+	 * @param {float} xVal X input value (0 <= x <= 1)
+	 * @param {float} yVal Y input value
+	 */
+	setInput : function(xVal, yVal)
+	{
+		this.tween = this.momentum = null;
+		this.entering = false;
+		this.enterTween = null;
+		this.cancelArrival();
+
+		this.updateLastSamplePos(xVal, yVal);
+	},
+
+	/**
+	 * Tween the sampled input position to some new values, as with tweenTo().
+	 *
+	 * @param  {float}           xVal     target X input value
+	 * @param  {float}           yVal     target Y input value
+	 * @param  {int}             duration (optional) length of the tween in ms, defaults to the leaveDuration option
+	 * @param  {string|function} easing   (optional) easing function, defaults to the leaveEasing option
+	 * @return {jQuery.Promise} resolved once our input has arrived at the target, or rejected if
+	 *                          interrupted by other input animation, setInput(), pausing or destruction.
+	 *                          Rejected straight away if the viewport is paused, as it won't redraw.
+	 */
+	animateTo : function(xVal, yVal, duration, easing)
+	{
+		if (!this.viewport.enabled) {
+			return $.Deferred().rejectWith(this, [this]).promise();
+		}
+
+		this.momentum = null;
+		this.tweenTo(xVal, yVal, duration === undefined ? this.options.leaveDuration : duration, easing || this.options.leaveEasing);
+
+		this.arrival = $.Deferred();
+		this.arrivalDrawn = false;
+		return this.arrival.promise();
+	},
+
+	/**
+	 * Resolve the promise returned by animateTo() if our input has finished moving. Where the final
+	 * frame was drawn this tick, this waits until the next so that the layer has transitioned to it.
+	 * Called by the viewport after redrawing its layers.
+	 *
+	 * @param  {bool} redrawn true if our layer was redrawn this tick
+	 * @return true if the promise was resolved
+	 */
+	checkArrival : function(redrawn)
+	{
+		var arrival = this.arrival;
+
+		if (!arrival || this.isAnimating()) {
+			return false;
+		}
+		if (redrawn && !this.arrivalDrawn) {
+			this.arrivalDrawn = true;
+			return false;
+		}
+
+		this.arrival = null;
+		arrival.resolveWith(this, [this]);
+		return true;
+	},
+
+	/**
+	 * Reject the promise returned by animateTo(), if one is pending, when its animation is interrupted
+	 */
+	cancelArrival : function()
+	{
+		var arrival = this.arrival;
+
+		if (arrival) {
+			this.arrival = null;
+			arrival.rejectWith(this, [this]);
+		}
+	},
+
+	/**
+	 * Resume the viewport's timer if it was suspended due to inactivity. Input handlers
+	 * which modify input state other than via updateLastSamplePos() should call this.
+	 */
+	wake : function()
+	{
+		if (this.viewport.timer) {
+			this.viewport.timer.wake();
+		}
+	},
+
+	/**
+	 * @return true if this animator's input is still moving toward a target over time,
+	 *         such as during tweens, momentum or smoothing
+	 */
+	isAnimating : function()
+	{
+		return !!(this.tween || this.momentum
+			|| (this.inputActive && this.enabled && this.viewport.enabled && this.inputActive.call(this))
+			|| (this.smoothedX && (this.smoothedX.value != this.lastSampledX || this.smoothedY.value != this.lastSampledY)));
+	},
+
+	/**
+	 * Reset the neutral position of calibrated input handlers (such as 'deviceorientation'),
+	 * so that the next reading is taken as the resting position.
+	 */
+	calibrate : function()
+	{
+		this.neutralInput = null;
+	},
+
+	/**
+	 * Smoothly animate the sampled input position to some new values over time.
+	 * If a tween is already running, it is redirected toward the new target.
+	 *
+	 * @param {float}           xVal     target X input value
+	 * @param {float}           yVal     target Y input value
+	 * @param {int}             duration length of the tween, in ms
+	 * @param {string|function} easing   easing function or name of one in jcparallax.Tween.easings
+	 */
+	tweenTo : function(xVal, yVal, duration, easing)
+	{
+		this.cancelArrival();
+		this.leaveTween = null;	// any running tween is now heading somewhere else
+
+		if (this.tween) {
+			this.tween.retarget(xVal, yVal, duration, easing);
+		} else {
+			this.tween = new jcparallax.Tween(this.lastSampledX, this.lastSampledY, xVal, yVal, duration, easing);
+		}
+		this.wake();
+	},
+
+	/**
+	 * Advance any time-based input animation for this animator. Called for every
+	 * tick of the viewport's timer prior to redrawing.
+	 *
+	 * @param {int} dt time represented by this frame, in ms
+	 */
+	advance : function(dt)
+	{
+		if (this.inputTicker) {
+			this.inputTicker(dt);
+		}
+
+		if (this.momentum) {
+			var decay = Math.exp(-this.options.dragFriction * dt);
+
+			this.lastSampledX = Math.min(1, Math.max(0, this.lastSampledX + this.momentum.x * dt));
+			this.lastSampledY = Math.min(1, Math.max(0, this.lastSampledY + this.momentum.y * dt));
+			this.momentum.x *= decay;
+			this.momentum.y *= decay;
+
+			if (Math.abs(this.momentum.x) < 0.00001 && Math.abs(this.momentum.y) < 0.00001) {
+				this.momentum = null;
+			}
+		}
+
+		if (this.tween) {
+			var pos = this.tween.step(dt);
+			this.lastSampledX = pos[0];
+			this.lastSampledY = pos[1];
+
+			if (this.tween.isComplete()) {
+				if (this.tween === this.enterTween) {
+					this.entering = false;
+					this.enterTween = null;
+				}
+				this.tween = null;
+			}
+		}
+
+		// move smoothed values toward the sampled input
+		var smoother = this.options.smoothing;
+		if (smoother) {
+			if (!$.isFunction(smoother)) {
+				smoother = jcparallax.Animator.smoothers[smoother];
+			}
+			if (!this.smoothedX) {
+				this.smoothedX = { value : this.lastSampledX, velocity : 0 };
+				this.smoothedY = { value : this.lastSampledY, velocity : 0 };
+			}
+			this._smooth(smoother, this.smoothedX, this.lastSampledX, dt);
+			this._smooth(smoother, this.smoothedY, this.lastSampledY, dt);
+		}
+	},
+
+	_smooth : function(smoother, state, target, dt)
+	{
+		smoother.call(this, state, target, dt, this.options);
+
+		// settle once close enough, so that layers stop redrawing
+		if (Math.abs(state.value - target) < 0.0001 && Math.abs(state.velocity) < 0.000001) {
+			state.value = target;
+			state.velocity = 0;
+		}
+	},
+
+	/**
+	 * Binds events for detecting the pointer leaving and re-entering the viewport,
+	 * if our input event is pointer-driven and leave or enter behaviour is configured.
+	 */
+	_bindExitEvents : function(inputEvents)
+	{
+		var that = this,
+			events, i;
+
+		for (i = 0; i < inputEvents.length && !events; ++i) {
+			events = jcparallax.Viewport.exitEvents[inputEvents[i]];
+		}
+
+		if (this.exitHandler) {
+			this.viewport.element.off(this.exitEvents, this.exitHandler);
+			this.exitHandler = null;
+		}
+
+		if (!events || (this.options.leaveBehaviour == 'stay' && !this.options.enterDuration)) {
+			return;
+		}
+
+		this.exitEvents = events[0] + jcparallax.eventNamespace + ' ' + events[1] + jcparallax.eventNamespace;
+		this.exitHandler = function(e) {
+			if (!that.enabled || !that.viewport.enabled) {
+				return;
+			}
+			if (e.type == events[1]) {
+				that.pointerLeave();
+			} else {
+				that.pointerEnter();
+			}
+		};
+		this.viewport.element.on(this.exitEvents, this.exitHandler);
 	},
 
 	/**
 	 * Refreshes all computed coordinates from our movement range handler
-	 * callbacks after layer DOM element is modified externally.
+	 * callbacks after layer DOM element is modified externally. Output is
+	 * regenerated at the next redraw, even if input hasn't changed.
+	 *
+	 * Range values with relative units are resolved to px here, and then
+	 * converted into our output unit. @see _resolveRange()
 	 */
 	refreshCoords : function()
 	{
-		var xRange, yRange;
+		var bases = this.unit == '%' ? this._getPercentBases() : [],
+			xRange, yRange;
 
 		if ($.isFunction(this.options.movementRangeX)) {
 			xRange = this.options.movementRangeX.call(this.layer, this.layer.element, this.viewport);
@@ -158,100 +629,578 @@ $.extend(jcparallax.Animator.prototype, {
 			yRange = this.options.movementRangeY;
 		}
 
-		this.minX = parseFloat(xRange[0]);
-		this.rangeX = parseFloat(xRange[1] - xRange[0]);
-		this.minY = parseFloat(yRange[0]);
-		this.rangeY = parseFloat(yRange[1] - yRange[0]);
+		xRange = [this._resolveRange(xRange[0], this.viewport.sizeX, bases[0]), this._resolveRange(xRange[1], this.viewport.sizeX, bases[0])];
+		yRange = [this._resolveRange(yRange[0], this.viewport.sizeY, bases[1]), this._resolveRange(yRange[1], this.viewport.sizeY, bases[1])];
+
+		// scale ranges about their centres according to the layer's depth
+		if (this.layer.depthFactor != 1 && this.handler.depthScaled !== false) {
+			xRange = this._scaleRange(xRange, this.layer.depthFactor);
+			yRange = this._scaleRange(yRange, this.layer.depthFactor);
+		}
+
+		this.minX = xRange[0];
+		this.rangeX = xRange[1] - xRange[0];
+		this.minY = yRange[0];
+		this.rangeY = yRange[1] - yRange[0];
+
+		this.lastOutput = null;
+
+		// layout may have moved passive input
+		if (this.inputSampler) {
+			this.inputSampler();
+		}
+	},
+
+	_scaleRange : function(range, factor)
+	{
+		var mid = (range[0] + range[1]) / 2;
+
+		return [mid + (range[0] - mid) * factor, mid + (range[1] - mid) * factor];
+	},
+
+	/**
+	 * Convert a range value into a number in our output unit. Numbers (including the results of range
+	 * calculators) are in the handler's unit, px by default. Strings with length units are resolved to px, with % relative
+	 * to the viewport's size along the axis, and then converted into our output unit. When that is %,
+	 * it is relative to whatever CSS resolves percentages of the handler's properties against.
+	 * Ranges of handlers which don't output lengths (such as angles) are read as plain numbers.
+	 *
+	 * @param  {mixed} val          range value
+	 * @param  {float} rangeBasis   length in px of the viewport along the range's axis
+	 * @param  {float} outputBasis  (optional) length in px which 100% of our output is relative to
+	 * @return {float}
+	 */
+	_resolveRange : function(val, rangeBasis, outputBasis)
+	{
+		var el = this.layer.element,
+			px, unitSize;
+
+		if (!this.unit) {
+			return parseFloat(val);
+		}
+
+		if (typeof val == 'number' || /^\s*-?[\d.]+\s*$/.test(val)) {
+			val = parseFloat(val) + (this.handler.unit || 'px');
+		}
+
+		px = jcparallax.parseLength(val, el, rangeBasis);
+		if (isNaN(px)) {
+			return parseFloat(val);
+		}
+
+		unitSize = jcparallax.unitSize(this.unit, el, outputBasis);
+		return isNaN(unitSize) || !unitSize ? px : px / unitSize;
+	},
+
+	/**
+	 * Determine the unit to output lengths in, or null if our handler doesn't output lengths.
+	 * Percentages are only used where the handler's properties accept them.
+	 *
+	 * @param  {string} unit movementUnit option
+	 * @return {string|null}
+	 */
+	_getOutputUnit : function(unit)
+	{
+		var lengths = this.handler.lengths || (this.handler.unit ? true : null);
+
+		if (!lengths) {
+			return null;
+		}
+
+		unit = unit || this.handler.unit || 'px';
+		if (unit == '%' && !(lengths[0] || lengths[1])) {
+			unit = this.handler.unit || 'px';
+		}
+		return unit;
+	},
+
+	/**
+	 * @return {array} lengths in px which CSS resolves percentages of our handler's output against,
+	 *                 along the X and Y axes. @see jcparallax.Layer.percentBases
+	 */
+	_getPercentBases : function()
+	{
+		var layer = this.layer,
+			lengths = this.handler.lengths,
+			getBasis = function(basis) {
+				if (typeof basis == 'string') {
+					basis = jcparallax.Layer.percentBases[basis];
+				}
+				return $.isFunction(basis) ? basis.call(layer, layer.element, layer.viewport) : undefined;
+			};
+
+		return $.isArray(lengths) ? [getBasis(lengths[0]), getBasis(lengths[1])] : [];
 	},
 
 	/**
-	 * Generate a CSS object for modification of our layer,
+	 * Generate the raw output values for modification of our layer,
 	 * using our last sampled input values or the ones provided.
-	 * Input values should be 0 < x < 1.
+	 * Input values should be 0 < x < 1, and are swapped and mapped through
+	 * our response curves before being passed to the animation handler.
 	 *
-	 * @return {object} CSS properties to pass to jQuery .css()
+	 * @return {object} raw output values for each CSS property, to be blended with other
+	 *                  animators' output and converted to CSS by the Layer
 	 */
 	makeCss : function(xVal, yVal)
 	{
 		// when positions not passed, just redraw
 		if (xVal === undefined && yVal === undefined) {
-			xVal = this.lastSampledX;
-			yVal = this.lastSampledY;
+			xVal = this.smoothedX ? this.smoothedX.value : this.lastSampledX;
+			yVal = this.smoothedY ? this.smoothedY.value : this.lastSampledY;
 		}
 
-		if (xVal == this.lastProcessedX && yVal == this.lastProcessedY) {
-			return {};	// no change in input
+		// no change in input, but we still need to contribute to the layer's blended output
+		if (this.lastOutput && xVal == this.lastProcessedX && yVal == this.lastProcessedY) {
+			return this.lastOutput;
 		}
 		this.lastProcessedX = xVal;
 		this.lastProcessedY = yVal;
 
-		return this.animHandler.call(this, xVal, yVal);
+		if (this.options.swapAxes) {
+			xVal = this.lastProcessedY;
+			yVal = this.lastProcessedX;
+		}
+		if (this.responseX) {
+			xVal = this.responseX(xVal);
+		}
+		if (this.responseY) {
+			yVal = this.responseY(yVal);
+		}
+
+		this.lastOutput = this.animHandler.call(this, xVal, yVal) || {};
+
+		return this.lastOutput;
 	}
 });
 
+//------------------------------------------------------------------------------
+// Input smoothing models
+//------------------------------------------------------------------------------
+
+/**
+ * Smoothing callbacks advance a smoothed input value toward the sampled input
+ * on every frame. They receive a state object containing the current value and
+ * velocity (in input units per ms), the target input value, the time elapsed
+ * in ms and the animator's options, and should update the state in place.
+ */
+jcparallax.Animator.smoothers = {
+
+	// critically damped spring - approaches the input as fast as possible without overshooting
+	spring : function(state, target, dt, opts)
+	{
+		var omega = 2 / opts.smoothingTime,
+			offset = state.value - target,
+			decay = Math.exp(-omega * dt),
+			temp = (state.velocity + omega * offset) * dt;
+
+		state.velocity = (state.velocity - omega * temp) * decay;
+		state.value = target + (offset + temp) * decay;
+	},
+
+	// exponential follow - covers a fixed proportion of the remaining distance over time
+	follow : function(state, target, dt, opts)
+	{
+		var prev = state.value;
+
+		state.value += (target - state.value) * (1 - Math.exp(-dt / opts.smoothingTime));
+		state.velocity = (state.value - prev) / dt;
+	},
+
+	// velocity-based inertia - accelerates toward the input and slows with friction, so may overshoot
+	inertia : function(state, target, dt, opts)
+	{
+		var accel = (target - state.value) / (opts.smoothingTime * opts.smoothingTime);
+
+		state.velocity = (state.velocity + accel * dt) * Math.exp(-opts.smoothingFriction * dt);
+		state.value += state.velocity * dt;
+	}
+};
+
+//------------------------------------------------------------------------------
+// Input response curves
+//------------------------------------------------------------------------------
+
+/**
+ * Response curves map each axis of input (0 - 1) onto a new value before it reaches the
+ * animation handler. They are configured per axis with the responseX and responseY options
+ * as an object with any of the following properties, applied in this order:
+ * 	- clamp:    [min, max] sub-range of the input to stretch over the full range. Input outside it is clamped.
+ * 	- mirror:   fold the input about its centre, so that it rises from 0 at either end to 1 in the middle
+ * 	- deadZone: proportion of the input range around the centre which is held at 0.5
+ * 	- invert:   reverse the direction of the input
+ * 	- easing:   name of an easing function in jcparallax.Tween.easings, a 'cubic-bezier(x1, y1, x2, y2)'
+ * 	            string or a callback, to make the response nonlinear
+ * 	- steps:    number of discrete values to quantize the output to
+ *
+ * Curves may also be given as custom callbacks, or as names of the presets below. Strings which
+ * aren't presets are used as easings.
+ */
+jcparallax.Animator.responseCurves = {
+	linear :	{},
+	inverted :	{ invert : true },
+	centered :	{ mirror : true },				// 0 at the edges, 1 in the centre. @see 'mousemove_xcentered' input handler
+	firstHalf :	{ clamp : [0, 0.5] },			// moves only while input is in the first half of its range
+	secondHalf : { clamp : [0.5, 1] },			// moves only once input passes the centre
+	deadCentre : { deadZone : 0.2 }
+};
+
+/**
+ * Build a callback for mapping input values through a response curve
+ *
+ * @param  {mixed} curve preset name, easing name or cubic-bezier() string, options object or callback
+ * @return {function|null} mapping callback, or null for linear response
+ */
+jcparallax.Animator.getResponseCurve = function(curve)
+{
+	var easing;
+
+	if (!curve) {
+		return null;
+	}
+	if ($.isFunction(curve)) {
+		return curve;
+	}
+	if (typeof curve == 'string') {
+		curve = jcparallax.Animator.responseCurves[curve] || { easing : curve };
+	}
+
+	easing = curve.easing ? jcparallax.Tween.getEasing(curve.easing) : null;
+
+	return function(val) {
+		var clamp = curve.clamp,
+			half, offset;
+
+		if (clamp) {
+			val = clamp[1] == clamp[0] ? (val >= clamp[1] ? 1 : 0) : Math.min(1, Math.max(0, (val - clamp[0]) / (clamp[1] - clamp[0])));
+		}
+		if (curve.mirror) {
+			val = 1 - Math.abs(2 * val - 1);
+		}
+		if (curve.deadZone) {
+			half = curve.deadZone / 2;
+			offset = Math.abs(val - 0.5);
+			val = offset <= half ? 0.5 : 0.5 + (val > 0.5 ? 0.5 : -0.5) * (offset - half) / (0.5 - half);
+		}
+		if (curve.invert) {
+			val = 1 - val;
+		}
+		if (easing) {
+			val = easing(val);
+		}
+		if (curve.steps > 1) {
+			val = Math.round(val * (curve.steps - 1)) / (curve.steps - 1);
+		}
+		return val;
+	};
+};
+
 //------------------------------------------------------------------------------
 // Layer animation handlers
 //------------------------------------------------------------------------------
 
+/**
+ * Animation handlers are registered as descriptors, each having:
+ * 	- output:         callback returning an object of raw numeric values keyed by CSS property, given the
+ * 	                  X and Y input values. Properties with multiple components (such as background-position)
+ * 	                  are returned as arrays. These values are formatted as CSS by jcparallax.Layer.cssFormatters
+ * 	                  after all animators on a layer have been blended together.
+ * 	- ranges:         (optional) default movementRangeX & movementRangeY for animators where these are left to be
+ * 	                  autodetected, keyed by input handler name. The 'default' entry is used for all other input
+ * 	                  handlers. Each is a two-element array of range calculator names, callbacks or hardcoded ranges.
+ * 	                  Ranges default to 0 - 1 without this.
+ * 	- lengths:        (optional) for handlers which output CSS lengths, what percentages of the X and Y outputs are
+ * 	                  relative to in CSS, as names of jcparallax.Layer.percentBases or callbacks. Use null for an axis
+ * 	                  where percentages aren't valid CSS, or true if they aren't valid on either. The movementUnit
+ * 	                  option only applies to handlers outputting lengths.
+ * 	- unit:           (optional) default movementUnit for lengths output by the handler, and the unit of plain numbers
+ * 	                  in its ranges. Handlers which declare a unit are taken to output lengths, even without the
+ * 	                  lengths property.
+ * 	- transitionable: (optional) false, or a callback returning false, when the handler's properties can't be
+ * 	                  animated with CSS transitions in the current browser. Animators using it run in fallback mode.
+ * 	- depthScaled:    (optional) false if the handler's ranges shouldn't be scaled by the depth of the layer
+ *
+ * Plain callbacks may also be registered, and are treated as the output of a descriptor with no other settings.
+ */
+
+// movement ranges for handlers which position the layer within the viewport
+var positionRanges = {
+	'default' : ['width', 'height'],
+	scroll : ['scrollWidth', 'scrollHeight']
+};
+
+// ranges for transform handlers which rotate or skew the layer
+var angleRanges = {
+	'default' : [[-15, 15], [-15, 15]]
+};
+
 jcparallax.Animator.animHandlers = {
 
 	// standard css attributes - minimal support
 
-	position : function(xVal, yVal)
-	{
-		return {
-			left : this.minX + (xVal * this.rangeX),
-			top : this.minY + (yVal * this.rangeY),
-		};
+	position : {
+		ranges : positionRanges,
+		lengths : ['containerWidth', 'containerHeight'],
+		output : function(xVal, yVal)
+		{
+			return {
+				left : this.minX + (xVal * this.rangeX),
+				top : this.minY + (yVal * this.rangeY)
+			};
+		}
 	},
 
-	padding : function(xVal, yVal)
-	{
+	padding : {
+		ranges : positionRanges,
+		lengths : ['containerWidth', 'containerWidth'],
+		output : function(xVal, yVal)
+		{
+			return {
+				'padding-left' : Math.max(0, this.minX + (xVal * this.rangeX)),
+				'padding-top' : Math.max(0, this.minY + (yVal * this.rangeY))
+			};
+		}
+	},
 
+	margins : {
+		ranges : positionRanges,
+		lengths : ['containerWidth', 'containerWidth'],
+		output : function(xVal, yVal)
+		{
+			return {
+				'margin-left' : this.minX + (xVal * this.rangeX),
+				'margin-top' : this.minY + (yVal * this.rangeY)
+			};
+		}
 	},
 
-	margins : function(xVal, yVal)
-	{
+	background : {
+		ranges : positionRanges,
+		lengths : true,
+		transitionable : function()
+		{
+			return jcparallax.support.backgroundTransitions;
+		},
+		output : function(xVal, yVal)
+		{
+			return {
+				'background-position' : [this.minX + (xVal * this.rangeX), this.minY + (yVal * this.rangeY)]
+			};
+		}
+	},
+
+	stretch : {
+		ranges : { 'default' : ['stretchWidth', 'stretchHeight'] },
+		lengths : ['containerWidth', 'containerHeight'],
+		output : function(xVal, yVal)
+		{
+			return {
+				width : Math.max(0, this.minX + (xVal * this.rangeX)),
+				height : Math.max(0, this.minY + (yVal * this.rangeY))
+			};
+		}
+	},
 
+	stretchX : {	// stretch width only
+		ranges : { 'default' : ['stretchWidth', 'stretchHeight'] },
+		lengths : ['containerWidth', 'containerHeight'],
+		output : function(xVal, yVal)
+		{
+			return {
+				width : Math.max(0, this.minX + (xVal * this.rangeX))
+			};
+		}
 	},
 
-	background : function(xVal, yVal)
-	{
-		return {
-			'background-position' : (this.minX + (xVal * this.rangeX)) + 'px ' + (this.minY + (yVal * this.rangeY)) + 'px',
-		};
+	stretchY : {	// stretch height only
+		ranges : { 'default' : ['stretchWidth', 'stretchHeight'] },
+		lengths : ['containerWidth', 'containerHeight'],
+		output : function(xVal, yVal)
+		{
+			return {
+				height : Math.max(0, this.minY + (yVal * this.rangeY))
+			};
+		}
 	},
 
-	stretch : function(xVal, yVal)
-	{
+	// CSS3 transforms. These output individual transform functions rather than CSS
+	// properties, which are composed into a single transform by the Layer.
+	// @see jcparallax.Layer.transformComponents
 
+	translateX : {
+		ranges : positionRanges,
+		lengths : ['width', 'height'],
+		output : function(xVal, yVal)
+		{
+			return {
+				translateX : this.minX + (xVal * this.rangeX)
+			};
+		}
 	},
 
-	// CSS3 attributes
+	translateY : {
+		ranges : positionRanges,
+		lengths : ['width', 'height'],
+		output : function(xVal, yVal)
+		{
+			return {
+				translateY : this.minY + (yVal * this.rangeY)
+			};
+		}
+	},
 
-	Xrotate : function(xVal, yVal)	// rotate based on X input
-	{
-		var css = {};
-		css[jcparallax.support.transforms] = 'rotate(' + (this.minX + (xVal * this.rangeX)) + 'deg)';
-		return css;
+	translateZ : {
+		ranges : { 'default' : [[0, 0], [-100, 100]] },
+		lengths : true,
+		output : function(xVal, yVal)
+		{
+			return {
+				translateZ : this.minY + (yVal * this.rangeY)
+			};
+		}
 	},
 
-	Yrotate : function(xVal, yVal)	// rotate based on Y input
-	{
-		var css = {};
-		css[jcparallax.support.transforms] = 'rotate(' + (this.minY + (yVal * this.rangeY)) + 'deg)';
-		return css;
+	rotate : {
+		ranges : angleRanges,
+		output : function(xVal, yVal)
+		{
+			return {
+				rotate : this.minX + (xVal * this.rangeX)
+			};
+		}
 	},
 
-	textShadow : function(xVal, yVal)
-	{
+	Xrotate : {	// rotate based on X input
+		ranges : angleRanges,
+		output : function(xVal, yVal)
+		{
+			return {
+				rotate : this.minX + (xVal * this.rangeX)
+			};
+		}
+	},
 
+	Yrotate : {	// rotate based on Y input
+		ranges : angleRanges,
+		output : function(xVal, yVal)
+		{
+			return {
+				rotate : this.minY + (yVal * this.rangeY)
+			};
+		}
 	},
 
-	opacity : function(xVal, yVal)
-	{
+	rotateX : {	// tilt about the horizontal axis with Y input
+		ranges : angleRanges,
+		output : function(xVal, yVal)
+		{
+			return {
+				rotateX : this.minY + (yVal * this.rangeY)
+			};
+		}
+	},
+
+	rotateY : {	// tilt about the vertical axis with X input
+		ranges : angleRanges,
+		output : function(xVal, yVal)
+		{
+			return {
+				rotateY : this.minX + (xVal * this.rangeX)
+			};
+		}
+	},
+
+	scale : {
+		ranges : { 'default' : [[1, 1], [0.9, 1.1]] },
+		output : function(xVal, yVal)
+		{
+			return {
+				scale : this.minY + (yVal * this.rangeY)
+			};
+		}
+	},
+
+	skew : {
+		ranges : angleRanges,
+		output : function(xVal, yVal)
+		{
+			return {
+				skew : [this.minX + (xVal * this.rangeX), this.minY + (yVal * this.rangeY)]
+			};
+		}
+	},
+
+	perspective : {
+		ranges : { 'default' : [[0, 0], [2000, 500]] },
+		lengths : true,
+		output : function(xVal, yVal)
+		{
+			return {
+				perspective : this.minY + (yVal * this.rangeY)
+			};
+		}
+	},
+
+	textShadow : {	// offsets are applied to each of the element's existing shadows - @see jcparallax.Layer.cssFormatters
+		ranges : { 'default' : ['fontSize', 'lineHeight'] },
+		lengths : true,
+		transitionable : function()
+		{
+			return jcparallax.support.textShadowTransitions;
+		},
+		output : function(xVal, yVal)
+		{
+			return {
+				'text-shadow' : [this.minX + (xVal * this.rangeX), this.minY + (yVal * this.rangeY)]
+			};
+		}
+	},
+
+	opacity : {	// Y axis only
+		ranges : { 'default' : [[0, 0], 'opacity'] },
+		depthScaled : false,
+		output : function(xVal, yVal)
+		{
+			return {
+				opacity : Math.min(1, Math.max(0, this.minY + (yVal * this.rangeY)))
+			};
+		}
+	}
+};
+
+/**
+ * Look up the descriptor for an animation handler
+ *
+ * @param  {mixed} handler name of a handler in jcparallax.Animator.animHandlers, a descriptor or an output callback
+ * @return {object} descriptor, or null if no such handler exists
+ */
+jcparallax.Animator.getAnimHandler = function(handler)
+{
+	if (typeof handler == 'string') {
+		handler = jcparallax.Animator.animHandlers[handler];
+	}
+	if ($.isFunction(handler)) {
+		return { output : handler };
+	}
+	return handler && $.isFunction(handler.output) ? handler : null;
+};
+
+/**
+ * Determine whether an animation handler's output can be animated with CSS transitions in this browser
+ *
+ * @param  {mixed} handler handler name, descriptor or output callback
+ * @return {bool}
+ */
+jcparallax.Animator.isTransitionable = function(handler)
+{
+	var transitionable;
+
+	handler = jcparallax.Animator.getAnimHandler(handler);
+	transitionable = handler ? handler.transitionable : true;
 
+	if ($.isFunction(transitionable)) {
+		return !!transitionable();
 	}
+	return transitionable !== false;
 };
 
 })(jQuery);
@@ -23,79 +23,472 @@ jcparallax.Layer = function(viewport, el, options)
 	this.element = el;
 	this.options = options;
 
+	// snapshot inline styles for restoring when destroyed
+	this.originalStyle = el.attr('style');
+
+	// determine depth scaling prior to animators reading their ranges
+	this._readDepth();
+
 	// check for arrays of animation controllers for this layer
-	if ($.isArray(options.animHandler)
-	 || $.isArray(options.inputHandler)
-	 ||	$.isArray(options.movementRangeX)
-	 || $.isArray(options.movementRangeY)
-	 || $.isArray(options.inputEvent)) {
-		this._createAnimators(options.animHandler, options.inputHandler, options.movementRangeX, options.movementRangeY, options.inputEvent);
+	var multiple = false;
+	$.each(jcparallax.Layer.animatorOptions, function(i, key) {
+		if (isPerAnimator(key, options[key])) {
+			multiple = true;
+			return false;
+		}
+	});
+
+	if (multiple) {
+		this._createAnimators(options);
 	} else {
 		// create a single animator
 		this.animators = [ new jcparallax.Animator(this, options) ];
 	}
 };
 
+/**
+ * Determine whether an option value gives a separate value for each animator on a layer.
+ * Movement ranges are themselves arrays, so these are only read per animator when their
+ * elements are ranges, range calculators or true (to autodetect) - ['-10%', '10%'] is a single range.
+ */
+var isPerAnimator = function(key, val)
+{
+	if (!$.isArray(val)) {
+		return false;
+	}
+	if (key != 'movementRangeX' && key != 'movementRangeY') {
+		return true;
+	}
+
+	for (var i = 0; i < val.length; ++i) {
+		if ($.isArray(val[i]) || $.isFunction(val[i]) || val[i] === true
+		  || (typeof val[i] == 'string' && jcparallax.Layer.rangeCalculators[val[i]])) {
+			return true;
+		}
+	}
+	return false;
+};
+
+// options which may be given as arrays to create multiple animators on a layer, one per array element
+jcparallax.Layer.animatorOptions = ['animHandler', 'inputHandler', 'inputEvent', 'inputTarget', 'movementRangeX', 'movementRangeY', 'movementUnit', 'blendMode', 'blendWeight', 'responseX', 'responseY', 'swapAxes', 'smoothing', 'timeline'];
+
 $.extend(jcparallax.Layer.prototype, {
 
+	transitionProperties : null,	// CSS property names the layer's transitions are currently limited to, joined by ', '
+
+	depth : null,		// distance of the layer behind the screen, from the 'depth' option or 'jcp-depth' data attribute
+	depthFactor : 1,	// proportion of their ranges which animators move through due to depth, @see getDepthFactor()
+
 	// previous CSS attributes of the layer
 	prevFrameCss : {},
 
+	// computed CSS of the layer prior to animation, @see getBaseCss()
+	baseCss : null,
+
+	/**
+	 * Reads a computed CSS value of the layer element as it would be without our animation.
+	 * Values are cached until the layer's coordinates are next refreshed, and are read with
+	 * our own output for the property swapped out so that range calculators and formatters
+	 * aren't affected by it.
+	 *
+	 * @param  {string} prop CSS property name
+	 * @return {string}
+	 */
+	getBaseCss : function(prop)
+	{
+		if (!this.baseCss) {
+			this.baseCss = {};
+		}
+		if (this.baseCss[prop] === undefined) {
+			this.baseCss[prop] = this._readBaseCss(prop);
+		}
+		return this.baseCss[prop];
+	},
+
+	// read a computed value with the property's inline style restored to what it was before we were created.
+	// Transitions are disabled whilst doing so, in order that the swap isn't animated.
+	_readBaseCss : function(prop)
+	{
+		var el = this.element[0],
+			original = $.style($('<div>').attr('style', this.originalStyle || '')[0], prop) || '',
+			current = $.style(el, prop) || '',
+			transition, val;
+
+		if (current == original) {
+			return this.element.css(prop);
+		}
+
+		transition = $.style(el, 'transition-property');
+		$.style(el, 'transition-property', 'none');
+
+		$.style(el, prop, original);
+		val = this.element.css(prop);
+		$.style(el, prop, current);
+		this.element.css(prop);		// apply our value again before transitions are, so that it isn't transitioned to
+
+		$.style(el, 'transition-property', transition || '');
+		return val;
+	},
+
 	/**
 	 * Refreshes the cached coordinates of the layer after some external DOM manipulation
 	 * to synchronise new animation positioning
 	 */
 	refreshCoords : function()
 	{
+		this.baseCss = null;
+		this._readDepth();
+
 		$.each(this.animators, function(i, anim) {
 			anim.refreshCoords();
 		});
 	},
 
+	/**
+	 * Determine how much the layer's movement should be scaled due to its depth. Layers at the focalDepth
+	 * move through their full ranges, with deeper layers moving less and shallower ones more.
+	 *
+	 * Without a cameraDistance this is simply inversely proportional to depth. With one, depth is measured
+	 * from the screen and the layer is projected as seen by a camera that far in front of it.
+	 *
+	 * @return {float} multiplier for movement ranges, and scale of the layer if depthScale is enabled
+	 */
+	getDepthFactor : function()
+	{
+		var camera = this.options.cameraDistance,
+			focus = this.options.focalDepth;
+
+		if (this.depth === null) {
+			return 1;
+		}
+		if (camera) {
+			return (camera + focus) / Math.max(camera + this.depth, 0.001);	// can't go behind the camera
+		}
+		return focus / Math.max(this.depth, 0.001);
+	},
+
+	// read our depth from markup or options. The attribute is read directly, since .data() caches it.
+	_readDepth : function()
+	{
+		var depth = this.element.attr('data-jcp-depth');
+
+		if (depth === undefined || depth === null || depth === '') {
+			depth = this.options.depth;
+		}
+
+		this.depth = depth === undefined || depth === null || isNaN(parseFloat(depth)) ? null : parseFloat(depth);
+		this.depthFactor = this.getDepthFactor();
+	},
+
+	// add depth scaling and blur to the layer's output values
+	_applyDepth : function(values)
+	{
+		if (this.depth === null) {
+			return;
+		}
+		if (this.options.depthScale) {
+			values.scale = (values.scale === undefined ? 1 : values.scale) * this.depthFactor;
+		}
+		if (this.options.depthBlur) {
+			values.filter = 'blur(' + (Math.abs(this.depth - this.options.focalDepth) * this.options.depthBlur) + 'px)';
+		}
+	},
+
+	/**
+	 * Unbind all of our animators and restore the layer element to the state it was in before we were created.
+	 * The layer is removed from its viewport and the viewport's timer.
+	 */
+	destroy : function()
+	{
+		// let the viewport detach us first, which then destroys us
+		if ($.inArray(this, this.viewport.layers) != -1) {
+			this.viewport.removeLayers(this.element);
+			return;
+		}
+
+		$.each(this.animators, function(i, anim) {
+			anim.destroy();
+		});
+		this.animators = [];
+
+		if (this.originalStyle === undefined) {
+			this.element.removeAttr('style');
+		} else {
+			this.element.attr('style', this.originalStyle);
+		}
+
+		this.element.removeData(jcparallax.layerStorageKey);
+	},
+
+	/**
+	 * @return true if any of our animators' input is still moving over time
+	 */
+	isAnimating : function()
+	{
+		for (var i = 0, l = this.animators.length; i < l; ++i) {
+			if (this.animators[i].isAnimating()) {
+				return true;
+			}
+		}
+		return false;
+	},
+
 	/**
 	 * Redraw the layer, using current input values for all our animators to generate
 	 * a merged CSS object to apply on our element.
+	 *
+	 * Where more than one animator outputs the same property, their raw values are
+	 * combined according to each animator's blendMode and blendWeight before being
+	 * converted to CSS.
+	 *
+	 * @param  {int} dt (optional) time represented by this frame in ms, for advancing time-based input
 	 * @return true if the layer needed re-rendering
 	 */
-	redraw : function()
+	redraw : function(dt)
 	{
-		var newCss = {},
+		var values = {},
+			units = {},
+			totals = {},
 			i = 0,
-			l = this.animators.length;
+			l = this.animators.length,
+			listeners = jcparallax.Layer.frameListeners,
+			anim, output, prop, newCss, css, input, evt;
 
 		for (; i < l; ++i) {
-			$.extend(newCss, this.animators[i].makeCss());
+			anim = this.animators[i];
+			if (dt) {
+				anim.advance(dt);
+			}
+			output = anim.makeCss();
+
+			for (prop in output) {
+				if (anim.unit) {
+					units[prop] = anim.unit;
+				}
+				if (values[prop] === undefined) {
+					values[prop] = this._blendFirst(output[prop], anim.options.blendMode, anim.options.blendWeight);
+					totals[prop] = { weight : anim.options.blendWeight, count : 1 };
+				} else {
+					values[prop] = this._blend(values[prop], output[prop], anim.options.blendMode, anim.options.blendWeight, totals[prop]);
+					totals[prop].weight += anim.options.blendWeight;
+					++totals[prop].count;
+				}
+			}
 		}
 
+		this._applyDepth(values);
+		newCss = this._formatCss(values, units);
+
 		if (this._cssChanged(newCss)) {
+			css = newCss;
+
+			// allow listeners to modify or cancel the frame. Events are only built when something is bound to them.
+			if (listeners.beforeframe) {
+				input = this.getInput();
+				evt = jcparallax.trigger(this.element, 'beforeframe', { css : $.extend({}, newCss), input : input });
+				if (evt.isDefaultPrevented()) {
+					return false;
+				}
+				css = evt.css;
+			}
+
 			this.prevFrameCss = newCss;
-			this.element.css(newCss);
+			this._updateTransitionProperties(css);
+			this.element.css(css);
+			this.viewport.timer.expectTransition(this.element[0]);
+
+			if (listeners.frame) {
+				jcparallax.trigger(this.element, 'frame', { css : css, input : input || this.getInput() });
+			}
 			return true;
 		}
 
 		return false;
 	},
 
-	_createAnimators : function(animHandlers, inputHandlers, movementRangeXs, movementRangeYs, inputEvents)
+	/**
+	 * @return {array} the sampled and processed (after smoothing) input of each of our animators, as
+	 *                 objects with sampledX, sampledY, processedX and processedY properties
+	 */
+	getInput : function()
+	{
+		return $.map(this.animators, function(anim) {
+			return {
+				sampledX : anim.lastSampledX,
+				sampledY : anim.lastSampledY,
+				processedX : anim.lastProcessedX,
+				processedY : anim.lastProcessedY
+			};
+		});
+	},
+
+	// limit the layer's transitions to the properties we are animating, so that others are left alone
+	_updateTransitionProperties : function(css)
+	{
+		var props = [],
+			prop;
+
+		for (prop in css) {
+			props.push(jcparallax.cssPropertyName(prop));
+		}
+
+		if (props.join(', ') != this.transitionProperties) {
+			this.transitionProperties = props.join(', ');
+			this.viewport.timer.setProperties(this.element[0], props);
+		}
+	},
+
+	_createAnimators : function(options)
 	{
 		this.animators = [];
 
 		// coerce everything to equal length arrays
-		var maxLen = Math.max($.isArray(animHandlers) ? animHandlers.length : 0, $.isArray(inputHandlers) ? inputHandlers.length : 0,
-							$.isArray(movementRangeXs) ? movementRangeXs.length : 0, $.isArray(movementRangeYs) ? movementRangeYs.length : 0,
-							$.isArray(inputEvents) ? inputEvents.length : 0),
-			i, anim;
+		var maxLen = 0,
+			i, opts;
+
+		$.each(jcparallax.Layer.animatorOptions, function(j, key) {
+			if (isPerAnimator(key, options[key])) {
+				maxLen = Math.max(maxLen, options[key].length);
+			}
+		});
 
 		for (i = 0; i < maxLen; ++i) {
-			anim = new jcparallax.Animator(this, {
-				animHandler : $.isArray(animHandlers) ? animHandlers[i] : animHandlers,
-				inputEvent : $.isArray(inputEvents) ? inputEvents[i] : inputEvents,
-				inputHandler : $.isArray(inputHandlers) ? inputHandlers[i] : inputHandlers,
-				movementRangeX : $.isArray(movementRangeXs) ? movementRangeXs[i] : movementRangeXs,
-				movementRangeY : $.isArray(movementRangeYs) ? movementRangeYs[i] : movementRangeYs
+			opts = $.extend({}, options);
+
+			$.each(jcparallax.Layer.animatorOptions, function(j, key) {
+				if (isPerAnimator(key, options[key])) {
+					opts[key] = options[key][i];
+				}
 			});
-			this.animators.push(anim);
+
+			this.animators.push(new jcparallax.Animator(this, opts));
+		}
+	},
+
+	/**
+	 * Combine a raw output value from an animator with the value accumulated from
+	 * the animators before it. Array values (eg. background-position) are blended
+	 * per component, and non-numeric values simply override.
+	 */
+	_blend : function(prev, value, mode, weight, totals)
+	{
+		var blendFn = $.isFunction(mode) ? mode : jcparallax.Layer.blendModes[mode],
+			result, i;
+
+		if ($.isArray(prev) && $.isArray(value)) {
+			result = [];
+			for (i = 0; i < value.length; ++i) {
+				result.push(this._blend(prev[i], value[i], mode, weight, totals));
+			}
+			return result;
+		}
+
+		if (!blendFn || typeof prev != 'number' || typeof value != 'number') {
+			return value;
+		}
+
+		return blendFn(prev, value, weight, totals.weight, totals.count);
+	},
+
+	/**
+	 * Apply an animator's blendWeight to the first value output for a property, by blending it onto
+	 * the identity value of its blend mode. Values for modes without one are used as-is.
+	 */
+	_blendFirst : function(value, mode, weight)
+	{
+		var identity = typeof mode == 'string' ? jcparallax.Layer.blendIdentities[mode] : undefined,
+			result, i;
+
+		if (identity === undefined) {
+			return value;
+		}
+
+		if ($.isArray(value)) {
+			result = [];
+			for (i = 0; i < value.length; ++i) {
+				result.push(this._blendFirst(value[i], mode, weight));
+			}
+			return result;
+		}
+
+		if (typeof value != 'number') {
+			return value;
+		}
+
+		return jcparallax.Layer.blendModes[mode](identity, value, weight, 0, 0);
+	},
+
+	/**
+	 * Convert raw animator output values into a CSS object for passing to jQuery .css()
+	 *
+	 * @param {object} values raw output values, keyed by property
+	 * @param {object} units  CSS units for length properties, from the animators writing them
+	 */
+	_formatCss : function(values, units)
+	{
+		var css = {},
+			transform = this._composeTransform(values, units),
+			prop;
+
+		units = units || {};
+
+		if (transform !== null) {
+			css[jcparallax.support.transforms] = transform;
+		}
+
+		for (prop in values) {
+			if (jcparallax.Layer.transformComponents[prop]) {
+				continue;
+			}
+			if (jcparallax.Layer.cssFormatters[prop]) {
+				css[prop] = jcparallax.Layer.cssFormatters[prop].call(this, values[prop], units[prop]);
+			} else if (units[prop] && typeof values[prop] == 'number') {
+				css[prop] = values[prop] + units[prop];
+			} else {
+				css[prop] = values[prop];
+			}
+		}
+
+		return css;
+	},
+
+	/**
+	 * Build a single CSS transform from all transform function components present in
+	 * the raw output values, in the order they are declared in jcparallax.Layer.transformComponents.
+	 * 3d components are dropped in browsers without 3d transform support.
+	 *
+	 * @param  {object} values raw output values
+	 * @param  {object} units  (optional) units overriding the default units of each component
+	 * @return {string|null} transform CSS value, or null if no transform components were output
+	 */
+	_composeTransform : function(values, units)
+	{
+		var found = false,
+			parts = [],
+			name, component, val, unit;
+
+		units = units || {};
+
+		for (name in jcparallax.Layer.transformComponents) {
+			if (values[name] === undefined) {
+				continue;
+			}
+			found = true;
+
+			component = jcparallax.Layer.transformComponents[name];
+			if (!jcparallax.support.transforms || (component.is3d && !jcparallax.support.transforms3d)) {
+				continue;
+			}
+
+			val = $.isArray(values[name]) ? values[name] : [values[name]];
+			unit = units[name] || component.unit;
+			parts.push(name + '(' + val.join(unit + ', ') + unit + ')');
+		}
+
+		if (!found || !jcparallax.support.transforms) {
+			return null;
 		}
+		return parts.length ? parts.join(' ') : 'none';
 	},
 
 	_cssChanged : function(newCss)
@@ -109,6 +502,194 @@ $.extend(jcparallax.Layer.prototype, {
 	}
 });
 
+//------------------------------------------------------------------------------
+// Frame events
+//------------------------------------------------------------------------------
+
+// number of elements with handlers bound for each of the events triggered by redraw(), so that
+// layers can skip building them when nothing is listening. Counted by the special events below.
+jcparallax.Layer.frameListeners = {
+	beforeframe : 0,
+	frame : 0
+};
+
+$.each(jcparallax.Layer.frameListeners, function(name) {
+	$.event.special[jcparallax.eventPrefix + name] = {
+		setup : function()
+		{
+			++jcparallax.Layer.frameListeners[name];
+			return false;	// bind natively as usual
+		},
+		teardown : function()
+		{
+			--jcparallax.Layer.frameListeners[name];
+			return false;
+		}
+	};
+});
+
+//------------------------------------------------------------------------------
+// Output blending modes
+//------------------------------------------------------------------------------
+
+/**
+ * These callbacks combine the output of an animator with the value accumulated
+ * from all animators before it on the same layer which write the same property.
+ * Each receives the previous value, the animator's value, the animator's blendWeight,
+ * the total weight of all previous animators and the number of previous animators.
+ *
+ * Except where noted, blendWeight acts as an opacity for the animator's contribution.
+ */
+jcparallax.Layer.blendModes = {
+
+	add : function(prev, val, weight)
+	{
+		return prev + val * weight;
+	},
+
+	average : function(prev, val, weight, totalWeight, count)	// ignores weighting
+	{
+		return prev + (val - prev) / (count + 1);
+	},
+
+	weighted : function(prev, val, weight, totalWeight)		// weighted mean, blendWeight gives the relative weight of each animator
+	{
+		if (!(totalWeight + weight)) {
+			return prev;
+		}
+		return prev + (val - prev) * weight / (totalWeight + weight);
+	},
+
+	multiply : function(prev, val, weight)
+	{
+		return prev * (1 + (val - 1) * weight);
+	},
+
+	max : function(prev, val, weight)
+	{
+		return prev + (Math.max(prev, val) - prev) * weight;
+	},
+
+	min : function(prev, val, weight)
+	{
+		return prev + (Math.min(prev, val) - prev) * weight;
+	}
+};
+
+// values which blend modes leave unchanged, so that the weight of the first animator writing a
+// property can be applied by blending onto them. The first output of other modes is used as-is.
+jcparallax.Layer.blendIdentities = {
+	add : 0,
+	multiply : 1
+};
+
+//------------------------------------------------------------------------------
+// CSS output formatters
+//------------------------------------------------------------------------------
+
+/**
+ * Converts raw (blended) animation handler outputs into CSS values for properties
+ * which are not simple pixel values. Properties without a formatter are passed to
+ * jQuery as-is, or with the unit of the animators writing them appended if they are lengths.
+ * These are run in the context of the Layer, and receive the raw value and the
+ * unit it is in (undefined for px).
+ */
+jcparallax.Layer.cssFormatters = {
+
+	'background-position' : function(val, unit)
+	{
+		unit = unit || 'px';
+		return val[0] + unit + ' ' + val[1] + unit;
+	},
+
+	// offsets the element's original shadows, preserving their colour and blur
+	'text-shadow' : function(val, unit)
+	{
+		var shadows = jcparallax.parseTextShadow(this.getBaseCss('text-shadow'), this.element),
+			scale = unit ? jcparallax.unitSize(unit, this.element) || 1 : 1,	// base shadows are in px
+			css = [];
+
+		val = [val[0] * scale, val[1] * scale];
+
+		if (!shadows.length) {
+			shadows.push({ color : this.getBaseCss('color'), x : 0, y : 0, blur : 0 });
+		}
+
+		$.each(shadows, function(i, shadow) {
+			css.push(shadow.color + ' ' + (shadow.x + val[0]) + 'px ' + (shadow.y + val[1]) + 'px ' + shadow.blur + 'px');
+		});
+
+		return css.join(', ');
+	}
+};
+
+/**
+ * Transform functions which animation handlers may output in place of CSS properties.
+ * These are blended like any other output and then composed into a single transform
+ * property in the order listed here.
+ */
+jcparallax.Layer.transformComponents = {
+	perspective :	{ unit : 'px', is3d : true },
+	translateX :	{ unit : 'px' },
+	translateY :	{ unit : 'px' },
+	translateZ :	{ unit : 'px', is3d : true },
+	rotate :		{ unit : 'deg' },
+	rotateX :		{ unit : 'deg', is3d : true },
+	rotateY :		{ unit : 'deg', is3d : true },
+	scale :			{ unit : '' },
+	skew :			{ unit : 'deg' }
+};
+
+//------------------------------------------------------------------------------
+// Percentage bases
+//------------------------------------------------------------------------------
+
+// size in px of the block which a layer's position and size are relative to
+var containingBlockSize = function(el)
+{
+	var position = el.css('position'),
+		container;
+
+	if (position == 'fixed') {
+		container = $(window);
+		return [container.width(), container.height()];
+	}
+	if (position == 'absolute') {
+		container = el.offsetParent();
+		return [container.innerWidth(), container.innerHeight()];	// relative to the padding box
+	}
+	container = el.parent();
+	return [container.width(), container.height()];
+};
+
+/**
+ * Callbacks returning the length in px which CSS resolves percentages of an animation handler's output
+ * against, so that ranges can be converted when the movementUnit is '%'. Handlers name these in their
+ * 'lengths' property. They are run in the context of the Layer and receive the layer element and Viewport.
+ */
+jcparallax.Layer.percentBases = {
+
+	width : function(el, vp)	// the layer's own border box, as used by translate()
+	{
+		return el.outerWidth();
+	},
+
+	height : function(el, vp)
+	{
+		return el.outerHeight();
+	},
+
+	containerWidth : function(el, vp)	// the layer's containing block, as used by left, width, padding & margins
+	{
+		return containingBlockSize(el)[0];
+	},
+
+	containerHeight : function(el, vp)	// as used by top & height
+	{
+		return containingBlockSize(el)[1];
+	}
+};
+
 //------------------------------------------------------------------------------
 // Automatic layer movement range calculation callbacks
 //------------------------------------------------------------------------------
@@ -137,27 +718,38 @@ jcparallax.Layer.rangeCalculators = {
 
 	fontSize : function(el, vp)
 	{
-		return [0, el.css('font-size')];
+		return [0, jcparallax.parseLength(el.css('font-size'), el)];
 	},
 
 	lineHeight : function(el, vp)
 	{
-		return [el.css('line-height'), 0];
+		return [jcparallax.parseLength(el.css('line-height'), el), 0];
 	},
 
 	opacity : function(el, vp)
 	{
-		return [0, el.css('opacity') || 1];
+		var opacity = parseFloat(this.getBaseCss('opacity'));
+		return [0, isNaN(opacity) ? 1 : opacity];
+	},
+
+	stretchWidth : function(el, vp)	// from the layer's original width to the width of the viewport
+	{
+		return [jcparallax.parseLength(this.getBaseCss('width'), el), vp.sizeX];
+	},
+
+	stretchHeight : function(el, vp)	// from the layer's original height to the height of the viewport
+	{
+		return [jcparallax.parseLength(this.getBaseCss('height'), el), vp.sizeY];
 	},
 
 	dataRangeX : function(el, vp) 	// reads data attribute 'jcp-xrange'
 	{
-		return el.data('jcp-xrange').split(',');
+		return String(el.data('jcp-xrange')).split(',');
 	},
 
 	dataRangeY : function(el, vp)  	// reads data attribute 'jcp-yrange'
 	{
-		return el.data('jcp-yrange').split(',');
+		return String(el.data('jcp-yrange')).split(',');
 	}
 };
 
@@ -0,0 +1,307 @@
+/**
+ * Animation scheduler class
+ *
+ * Drives all running TransitionIntervals on the page from a shared set of clocks.
+ *
+ * Intervals which run in the same mode at the same sampling rate are grouped together
+ * and ticked from a single timer, so that viewports animating at the same framerate
+ * stay in sync with each other rather than drifting apart. Each group:
+ * 	- suspends itself when none of its intervals report any change, and resumes as soon
+ * 	  as one of them is woken by new input.
+ * 	- in fully-enabled mode, ticks each interval once all of its elements which changed in the last
+ * 	  frame have finished transitioning, with a timeout as a failsafe in case transition end events
+ * 	  are never fired. Intervals finishing together are ticked together, and those left waiting on
+ * 	  their failsafe don't hold up the rest of the group. If nothing began transitioning, the group
+ * 	  ticks again after the framerate.
+ * 	- in half-enabled mode, ticks from a single timeout chain.
+ * 	- in fallback mode, ticks once per display frame using requestAnimationFrame, throttled to the
+ * 	  group's fallback framerate if one is set. Timeouts are used in browsers without animation frames.
+ *
+ * All groups are paused while the page is hidden and resume where they left off when it
+ * becomes visible again.
+ *
+ * A shared instance is created as jcparallax.scheduler, and TransitionIntervals register
+ * with it automatically when started.
+ *
+ * @requires jcparallax.js
+ * @author Sam Pospischil <pospi@spadgos.com>
+ */
+(function($) {
+
+jcparallax.Scheduler = function()
+{
+	var that = this;
+
+	this.groups = {};
+
+	// pause everything while the page isn't visible
+	$(document).on('visibilitychange' + jcparallax.eventNamespace, function() {
+		if (document.hidden) {
+			that.pause();
+		} else {
+			that.resume();
+		}
+	});
+};
+
+$.extend(jcparallax.Scheduler.prototype, {
+
+	paused : false,
+
+	/**
+	 * Register a TransitionInterval to be ticked by the scheduler
+	 * @param {TransitionInterval} interval
+	 */
+	add : function(interval)
+	{
+		var timing = interval.getTiming(),
+			key = timing.mode + ':' + timing.rate,
+			group = this.groups[key];
+
+		if (!group) {
+			group = this.groups[key] = {
+				key : key,
+				mode : timing.mode,
+				rate : timing.rate,
+				members : [],
+				timeout : null,
+				idle : true,			// true when suspended due to inactivity
+				lastFrameTime : null,
+				frameRequest : null		// token for the pending animation frame, if any
+			};
+		}
+
+		interval.schedulerGroup = group;
+		group.members.push(interval);
+
+		this.wake(interval);	// run to first frame
+	},
+
+	/**
+	 * Stop ticking a TransitionInterval
+	 * @param {TransitionInterval} interval
+	 */
+	remove : function(interval)
+	{
+		var group = interval.schedulerGroup,
+			idx;
+
+		if (!group) {
+			return;
+		}
+
+		idx = $.inArray(interval, group.members);
+		if (idx != -1) {
+			group.members.splice(idx, 1);
+		}
+		interval.schedulerGroup = null;
+
+		// discard empty groups
+		if (!group.members.length) {
+			this._suspend(group);
+			delete this.groups[group.key];
+		}
+	},
+
+	/**
+	 * Resume ticking the group a TransitionInterval belongs to, if it was suspended
+	 * due to inactivity. Called whenever new input is received.
+	 *
+	 * @param {TransitionInterval} interval
+	 */
+	wake : function(interval)
+	{
+		var group = interval.schedulerGroup;
+
+		if (group && group.idle && !this.paused) {
+			group.idle = false;
+			this._tick(group);
+		}
+	},
+
+	/**
+	 * Called by TransitionIntervals in fully-enabled mode when all of their elements have
+	 * finished transitioning. Begins the interval's next frame, along with those of any other
+	 * intervals in the group which aren't still transitioning.
+	 *
+	 * @param {TransitionInterval} interval
+	 */
+	transitionEnd : function(interval)
+	{
+		var that = this,
+			group = interval.schedulerGroup;
+
+		if (!group || group.idle || this.paused) {
+			return;
+		}
+
+		// defer the frame until any other transition end events fired alongside this one have been
+		// dispatched, so that they aren't mistaken for the end of the transitions we are about to start
+		clearTimeout(group.timeout);
+		group.timeout = setTimeout(function() {
+			group.timeout = null;
+			that._tick(group);
+		}, 0);
+	},
+
+	/**
+	 * Stop all clocks, eg. whilst the page is hidden
+	 */
+	pause : function()
+	{
+		if (this.paused) {
+			return;
+		}
+		this.paused = true;
+
+		$.each(this.groups, function(key, group) {
+			clearTimeout(group.timeout);
+			group.timeout = null;
+			group.frameRequest = null;
+			group.lastFrameTime = null;		// don't count the time spent paused when resuming
+		});
+	},
+
+	/**
+	 * Restart all clocks paused with pause()
+	 */
+	resume : function()
+	{
+		var that = this;
+
+		if (!this.paused) {
+			return;
+		}
+		this.paused = false;
+
+		$.each(this.groups, function(key, group) {
+			if (!group.idle) {
+				that._tick(group);
+			}
+		});
+	},
+
+	_tick : function(group)
+	{
+		var now = new Date().getTime(),
+			changed = false,
+			ready = false,						// true if anything changed without beginning a transition
+			members = group.members.slice(),	// callbacks may add or remove intervals
+			frameDuration, interval, i;
+
+		clearTimeout(group.timeout);
+		group.timeout = null;
+		group.frameRequest = null;
+
+		// in fallback mode frames represent however long it's actually been since the last one
+		if (group.mode == 'fallback' && group.lastFrameTime !== null) {
+			frameDuration = now - group.lastFrameTime;
+		} else {
+			frameDuration = group.rate || jcparallax.Scheduler.displayFrameDuration;
+		}
+		group.lastFrameTime = now;
+
+		for (i = 0; i < members.length; ++i) {
+			interval = members[i];
+
+			// leave intervals to finish transitioning from their last frame, unless their failsafe has expired
+			if (group.mode == 'transitionend' && interval.isTransitioning() && now < this._failsafeTime(group, interval)) {
+				changed = true;
+				continue;
+			}
+
+			interval.lastTickTime = now;
+			if (interval.tick(frameDuration)) {
+				changed = true;
+				if (!interval.isTransitioning()) {
+					ready = true;
+				}
+			}
+		}
+
+		// nothing moved, so stop until woken by some new input
+		if (!changed) {
+			this._suspend(group);
+			return;
+		}
+
+		this._schedule(group, ready);
+	},
+
+	// queue the next tick for a group. Where nothing is ready before then, this is the earliest failsafe of any interval waiting on transitions.
+	_schedule : function(group, ready)
+	{
+		var that = this,
+			delay = group.rate || jcparallax.Scheduler.displayFrameDuration,
+			now = new Date().getTime(),
+			i;
+
+		if (group.mode == 'fallback' && jcparallax.support.animationFrames) {
+			this._requestFrame(group);
+			return;
+		}
+
+		// when waiting on transitions the next frame will usually begin before this failsafe
+		if (group.mode == 'transitionend' && !ready) {
+			delay = group.rate * 2;
+			for (i = 0; i < group.members.length; ++i) {
+				if (group.members[i].isTransitioning()) {
+					delay = Math.min(delay, this._failsafeTime(group, group.members[i]) - now);
+				}
+			}
+			delay = Math.max(delay, 0);
+		}
+
+		group.timeout = setTimeout(function() {
+			group.timeout = null;
+			that._tick(group);
+		}, delay);
+	},
+
+	// wait for the next display frame, skipping frames until the group's framerate has elapsed if it has one
+	_requestFrame : function(group)
+	{
+		var that = this,
+			token = group.frameRequest = {};
+
+		window[jcparallax.support.animationFrames](function() {
+			if (group.frameRequest !== token) {
+				return;		// cancelled
+			}
+			group.frameRequest = null;
+
+			// allow a little leeway so that we don't skip frames due to display timing jitter
+			if (group.rate && group.lastFrameTime !== null && new Date().getTime() - group.lastFrameTime < group.rate - jcparallax.Scheduler.timerLeeway) {
+				that._requestFrame(group);
+				return;
+			}
+
+			that._tick(group);
+		});
+	},
+
+	// time at which an interval waiting on transitions is ticked regardless, in case its transition end events never fire
+	_failsafeTime : function(group, interval)
+	{
+		return interval.lastTickTime + group.rate * 2 - jcparallax.Scheduler.timerLeeway;
+	},
+
+	_suspend : function(group)
+	{
+		clearTimeout(group.timeout);
+		group.timeout = null;
+		group.frameRequest = null;
+		group.idle = true;
+		group.lastFrameTime = null;
+	}
+});
+
+// assumed length of a display frame in ms, where no other framerate is available
+jcparallax.Scheduler.displayFrameDuration = 16;
+
+// time in ms by which timers may fire early, due to timing jitter
+jcparallax.Scheduler.timerLeeway = 4;
+
+jcparallax.scheduler = new jcparallax.Scheduler();
+
+})(jQuery);
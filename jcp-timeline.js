@@ -0,0 +1,183 @@
+/**
+ * Keyframe timeline class
+ *
+ * Plays back a sequence of keyframed input values (0 <= x <= 1) over time, for
+ * driving layers with the 'timeline' input handler. Like Tweens, timelines don't
+ * run their own timers - they are advanced by the Animator on each tick of its
+ * viewport's TransitionInterval.
+ *
+ * Timelines accept an options object with the following properties:
+ * 	keyframes:		array of objects with 'time' (in ms), 'x' and 'y' properties. Each may also have an
+ * 					'easing' for the segment between it and the next keyframe. Input is held at the first
+ * 					keyframe's values until its time is reached.
+ * 	easing:			easing for segments which don't specify one. Defaults to 'linear'.
+ * 	loop:			false to play once, true to repeat forever or the number of times to play
+ * 	pingPong:		true to reverse direction at each end rather than starting over. Each pass counts
+ * 					as a play, so loop : 2 plays forward & back once.
+ * 	playbackRate:	speed multiplier, negative to play backwards. Defaults to 1.
+ * 	autoplay:		false to wait for play() before advancing. Defaults to true.
+ *
+ * @param {object} options
+ *
+ * @requires jcparallax.js
+ * @requires jcp-tween.js
+ * @author Sam Pospischil <pospi@spadgos.com>
+ */
+(function($) {
+
+jcparallax.Timeline = function(options)
+{
+	var defaults = {
+		keyframes : [],
+		easing : 'linear',
+		loop : false,
+		pingPong : false,
+		playbackRate : 1,
+		autoplay : true
+	};
+
+	this.options = options = $.extend({}, defaults, options);
+
+	this.keyframes = options.keyframes.slice().sort(function(a, b) {
+		return a.time - b.time;
+	});
+	this.duration = this.keyframes.length ? this.keyframes[this.keyframes.length - 1].time : 0;
+	this.playbackRate = options.playbackRate;
+	this.time = this.playbackRate < 0 ? this.duration : 0;
+	this.playing = !!options.autoplay;
+};
+
+$.extend(jcparallax.Timeline.prototype, {
+
+	keyframes : null,	// keyframes ordered by time
+	duration : 0,		// time of the last keyframe, in ms
+
+	time : 0,			// current playback position, in ms
+	playbackRate : 1,
+	direction : 1,		// -1 whilst playing back the reverse pass of a ping-pong loop
+	plays : 0,			// number of passes completed since the timeline was started
+	playing : false,
+
+	/**
+	 * Begin or resume playback. Finished timelines are restarted from the beginning.
+	 */
+	play : function()
+	{
+		if (this.isFinished()) {
+			this.plays = 0;
+			this.direction = 1;
+			this.time = this.playbackRate < 0 ? this.duration : 0;
+		}
+		this.playing = true;
+	},
+
+	pause : function()
+	{
+		this.playing = false;
+	},
+
+	/**
+	 * Move the playback position without affecting whether the timeline is playing
+	 * @param {int} time position to move to, in ms
+	 */
+	seek : function(time)
+	{
+		if (this.isFinished()) {
+			this.plays = 0;
+			this.direction = 1;
+		}
+		this.time = Math.min(this.duration, Math.max(0, time));
+	},
+
+	/**
+	 * @param {float} rate speed multiplier, negative to play backwards
+	 */
+	setPlaybackRate : function(rate)
+	{
+		this.playbackRate = rate;
+	},
+
+	isPlaying : function()
+	{
+		return this.playing;
+	},
+
+	/**
+	 * @return true if the timeline has played through all of its passes
+	 */
+	isFinished : function()
+	{
+		var loop = this.options.loop;
+
+		return loop !== true && this.plays >= (loop || 1);
+	},
+
+	/**
+	 * Advance the timeline by some amount of time, if playing
+	 * @param  {int} dt time elapsed since the last step, in ms
+	 * @return {array} the new X and Y values
+	 */
+	step : function(dt)
+	{
+		var d = this.duration,
+			atEnd;
+
+		if (this.playing && dt) {
+			this.time += dt * this.playbackRate * this.direction;
+
+			if (!d) {
+				this.time = 0;
+				this.playing = false;
+			}
+
+			// wrap around the ends of the timeline for each pass completed
+			while (this.playing && (this.time > d || this.time < 0)) {
+				atEnd = this.time > d;
+				++this.plays;
+
+				if (this.isFinished()) {
+					this.time = atEnd ? d : 0;
+					this.playing = false;
+				} else if (this.options.pingPong) {
+					this.time = atEnd ? 2 * d - this.time : -this.time;
+					this.direction = -this.direction;
+				} else {
+					this.time += atEnd ? -d : d;
+				}
+			}
+		}
+
+		return this.getPosition();
+	},
+
+	/**
+	 * @return {array} the X and Y values at the current playback position
+	 */
+	getPosition : function()
+	{
+		var frames = this.keyframes,
+			l = frames.length,
+			i, from, to, t;
+
+		if (!l) {
+			return [0, 0];
+		}
+		if (this.time <= frames[0].time) {
+			return [frames[0].x, frames[0].y];
+		}
+
+		for (i = 1; i < l; ++i) {
+			if (this.time < frames[i].time) {
+				from = frames[i - 1];
+				to = frames[i];
+				t = (jcparallax.Tween.getEasing(from.easing || this.options.easing) || jcparallax.Tween.easings.linear)((this.time - from.time) / (to.time - from.time));
+
+				return [from.x + (to.x - from.x) * t, from.y + (to.y - from.y) * t];
+			}
+		}
+
+		return [frames[l - 1].x, frames[l - 1].y];
+	}
+});
+
+})(jQuery);
@@ -13,37 +13,69 @@
  *    of sync slightly which leads to tearing in the animation. Fortunately this mode is unlikely
  *    to be executed.
  *  - In fallback mode, we simply sample at a higher framerate to compensate for the lack of browser
- *    transition support.
+ *    transition support. This runs on every display frame (or at the fallback framerate, if one is given)
+ *    with frameDuration giving the actual time elapsed between frames, so that time-based animation
+ *    runs at the same speed regardless of framerate. Fallback mode is also used for animation of
+ *    properties which can't be transitioned in the current browser.
+ *
+ * Timing is handled by the shared jcparallax.scheduler, which ticks intervals running at the same
+ * framerate together and suspends them when their callbacks report no change. Call wake() when new
+ * input arrives to resume a suspended interval.
  *
  * TransitionIntervals require three parameters:
  * 	- a callback to execute for every tick of the timer. The context of the callback is the timer object,
- * 	  which contains a frameCount variable which may be of use in callbacks.
+ * 	  which contains frameCount and frameDuration variables which may be of use in callbacks. The callback
+ * 	  should return true if anything changed or is still animating.
  * 	- a sampling rate for the animation when running in CSS-enabled browsers
  * 	- a fallback sampling rate when transition smoothing is not available
+ * Optionally, a callback for checking whether transitions can be used and the CSS timing function for
+ * transitions between frames (default 'linear') may also be given.
  *
  * After construction, call addElements() to append DOM elements under the control of the TransitionInterval's
  * animation timer. These need to be registered in order to apply the correct CSS attributes necessary for
- * transition timing on the elements.
+ * transition timing on the elements. The interval writes each element's transition lists for the properties
+ * being animated, which are 'all' unless a list of them is given with setProperties(). Transitions declared
+ * for other properties by stylesheets when the element was added are kept in the lists, and lists which
+ * match those declared by stylesheets aren't written.
  *
  * @requires jcparallax.js
+ * @requires jcp-scheduler.js
  */
 (function($) {
 
-jcparallax.TransitionInterval = function(cb, framerate, fbFramerate, extraCssAnimCheckCb)
+jcparallax.TransitionInterval = function(cb, framerate, fbFramerate, extraCssAnimCheckCb, timingFunction)
 {
 	this.elements = jQuery([]);
+	this.timingFunction = timingFunction || 'linear';
 	this.setFramerates(framerate, fbFramerate, extraCssAnimCheckCb);
 
 	this.callback = cb;
 	this.frameCount = 0;
+	this.transitionEventCount = 0;
+	this.missedTransitionCount = 0;
+	this.pending = [];
 };
 
 $.extend(jcparallax.TransitionInterval.prototype, {
 
 	_running : false,
 
-	timeout : null,		// frame timeout reference (fallback mode)
-	update : null,		// underlying registered timer update callback
+	schedulerGroup : null,	// group of intervals this one is ticked with by jcparallax.scheduler
+	lastTickTime : null,	// time this interval was last ticked by the scheduler, in ms
+	onTransitionEnd : null,	// transition end event callback bound to our elements (fully-enabled mode)
+
+	frameDuration : 0,	// time represented by the current frame in ms, for advancing time-based animation
+
+	// instrumentation. frameCount is the number of frames which changed the animation, transitionEventCount
+	// the number of raw transition end events received and missedTransitionCount the number of frames started
+	// by the failsafe timeout before all expected transitions had ended.
+	frameCount : 0,
+	transitionEventCount : 0,
+	missedTransitionCount : 0,
+
+	pending : null,		// DOM elements which began transitioning in the current frame and haven't yet finished
+
+	timingFunction : 'linear',	// CSS transition-timing-function for tweening between frames
 
 	start : function()
 	{
@@ -54,90 +86,324 @@ $.extend(jcparallax.TransitionInterval.prototype, {
 
 		var that = this;
 
-		if (jcparallax.support.transitionEndEvent) {
-			this.update = function() {
-				// if callback returns to flag no movement, check again at our frame interval
-				if (!that.callback.call(that)) {
-					clearTimeout( that.timeout );
-					that.timeout = setTimeout(function() {
-						that.timeout = null;
-						that.update();
-					}, that.framerate);
-				} else {
-
-					// this check is placed here to failsafe in the event that browser rendering stutters,
-					// resulting in the transition end event never being called and the animation failing
-					// to restart.
-					clearTimeout( that.timeout );
-					that.timeout = setTimeout(function() {
-						that.timeout = null;
-						that.update();
-					}, that.framerate * 2);
-
-					++that.frameCount;
-				}
-			};
-
-			// bind to the first element, we only need it to run once since all framerates are the same
-			this.elements.on(jcparallax.support.transitionEndEvent, that.update);
-		} else {
-			var supported = jcparallax.support.transitions && (!this.useFallbackCheckCb || (this.useFallbackCheckCb && this.useFallbackCheckCb()));
-
-			this.update = function() {
-				that.callback.call(that);
-				that.timeout = setTimeout(that.update, supported ? that.framerate : that.fbFramerate);
-
-				++that.frameCount;
+		if (this.getTiming().mode == 'transitionend') {
+			this.onTransitionEnd = function(e) {
+				that._transitionEnded(e);
 			};
-			this.timeout = setTimeout(this.update, supported ? this.framerate : this.fbFramerate);
+			this.elements.on(jcparallax.support.transitionEndEvent, this.onTransitionEnd);
 		}
 		this._running = true;
 
-		this.update();	// run to first frame
+		jcparallax.scheduler.add(this);
 	},
 
 	stop : function()
 	{
 		if (this._running) {
-			if (jcparallax.support.transitionEndEvent) {
-				this.elements.off(jcparallax.support.transitionEndEvent, this.update);
-			} else {
-				clearTimeout( this.timeout );
-				this.timeout = null;
+			jcparallax.scheduler.remove(this);
+			this.pending = [];
+
+			if (this.onTransitionEnd) {
+				this.elements.off(jcparallax.support.transitionEndEvent, this.onTransitionEnd);
+				this.onTransitionEnd = null;
 			}
 			this._running = false;
 		}
 	},
 
+	isRunning : function()
+	{
+		return this._running;
+	},
+
+	/**
+	 * Notify the scheduler that new input has arrived, so that we resume ticking
+	 * if we were suspended due to inactivity.
+	 */
+	wake : function()
+	{
+		if (this._running) {
+			jcparallax.scheduler.wake(this);
+		}
+	},
+
+	/**
+	 * Run a single frame. Called by the scheduler.
+	 * @param  {int} frameDuration time represented by this frame, in ms
+	 * @return true if the callback reported any change
+	 */
+	tick : function(frameDuration)
+	{
+		if (this.pending.length) {
+			++this.missedTransitionCount;
+		}
+		this.pending = [];
+		this.frameDuration = frameDuration;
+
+		if (this.callback.call(this)) {
+			++this.frameCount;
+			return true;
+		}
+		return false;
+	},
+
+	/**
+	 * Register that one of our elements has begun transitioning in the current frame.
+	 * In fully-enabled mode, the next frame waits until all such elements have finished.
+	 *
+	 * @param {DOMElement} el
+	 */
+	expectTransition : function(el)
+	{
+		if (this.onTransitionEnd && $.inArray(el, this.pending) == -1) {
+			this.pending.push(el);
+		}
+	},
+
+	/**
+	 * @return true if any of our elements are still transitioning from the current frame
+	 */
+	isTransitioning : function()
+	{
+		return this.pending.length > 0;
+	},
+
+	/**
+	 * Handles transition end events from our elements. Elements fire one event per transitioned property
+	 * and also receive bubbled events from their children, so we only count the first event from each
+	 * element we're waiting on and notify the scheduler once all of them have finished. This way layers
+	 * with differing transition durations all complete before the next frame begins.
+	 */
+	_transitionEnded : function(e)
+	{
+		var idx;
+
+		if (e.target !== e.currentTarget) {
+			return;
+		}
+		++this.transitionEventCount;
+
+		idx = $.inArray(e.currentTarget, this.pending);
+		if (idx == -1) {
+			return;
+		}
+		this.pending.splice(idx, 1);
+
+		if (!this.pending.length) {
+			jcparallax.scheduler.transitionEnd(this);
+		}
+	},
+
+	/**
+	 * Determine how this interval should be timed, given browser support
+	 * @return {object} with 'mode' ('transitionend', 'timed' or 'fallback') and 'rate' (sampling interval in ms) properties
+	 */
+	getTiming : function()
+	{
+		var supported = jcparallax.support.transitions && (!this.useFallbackCheckCb || (this.useFallbackCheckCb && this.useFallbackCheckCb()));
+
+		if (!supported) {
+			return { mode : 'fallback', rate : this.fbFramerate };
+		}
+		return { mode : jcparallax.support.transitionEndEvent ? 'transitionend' : 'timed', rate : this.framerate };
+	},
+
 	setFramerates : function(cssFramerate, fallbackFramerate, extraCssAnimCheckCb)
 	{
+		var running = this._running;
+
+		// restart to move to the scheduler group for our new framerate
+		if (running) {
+			this.stop();
+		}
+
 		this.framerate = cssFramerate;
 		this.fbFramerate = fallbackFramerate;
 		this.useFallbackCheckCb = extraCssAnimCheckCb;
 		this._applyCss();
+
+		if (running) {
+			this.start();
+		}
+	},
+
+	/**
+	 * Set the CSS timing function used for transitions between frames
+	 * @param {string} timingFunction eg. 'linear' or 'cubic-bezier(0.25, 0.1, 0.25, 1)'
+	 */
+	setTimingFunction : function(timingFunction)
+	{
+		this.timingFunction = timingFunction || 'linear';
+		this._applyCss();
 	},
 
 	addElements : function(els)
 	{
-		if ($.isArray(els)) {
-			this.elements.pushStack(els);
-		} else {
-			this.elements = this.elements.add(els);
+		els = $(els);
+
+		// remember the transitions declared by stylesheets, before we override them
+		els.each(function() {
+			var el = $(this);
+
+			if (!el.data(jcparallax.transitionStorageKey)) {
+				el.data(jcparallax.transitionStorageKey, {
+					properties : null,
+					defaults : readTransitions(el)
+				});
+			}
+		});
+
+		this.elements = this.elements.add(els);
+		if (this.onTransitionEnd) {
+			els.on(jcparallax.support.transitionEndEvent, this.onTransitionEnd);
 		}
-		this._applyCss();
+		this._applyCss(els);
+	},
+
+	/**
+	 * Limit the transitions of one of our elements to the given properties, so that transitions
+	 * declared elsewhere for other properties of the element aren't affected by our timing.
+	 *
+	 * @param {DOMElement} el
+	 * @param {array}      properties CSS property names, or null to transition all properties
+	 */
+	setProperties : function(el, properties)
+	{
+		var data = $(el).data(jcparallax.transitionStorageKey);
+
+		if (data) {
+			data.properties = properties;
+			this._applyCss($(el));
+		}
+	},
+
+	/**
+	 * Remove DOM elements from the control of the timer, clearing the transition CSS we applied to them
+	 * @param {jQuery} els
+	 */
+	removeElements : function(els)
+	{
+		var that = this;
+
+		els = $(els);
+
+		if (this.onTransitionEnd) {
+			els.off(jcparallax.support.transitionEndEvent, this.onTransitionEnd);
+		}
+		this.elements = this.elements.not(els);
+		this.pending = $.grep(this.pending, function(el) {
+			return els.index(el) == -1;
+		});
+
+		$.each(transitionLists, function(name) {
+			$.each(jcparallax.cssDomPrefixes, function(j, prefix) {
+				els.css(prefix + 'transition-' + name, '');
+			});
+			els.css('transition-' + name, '');
+		});
+		els.removeData(jcparallax.transitionStorageKey);
 	},
 
-	_applyCss : function()
+	// write transition CSS for sample tweening to some or all of our elements
+	_applyCss : function(els)
 	{
-		var that = this,
-			cssFramerate = (this.framerate / 1000) + 's';
+		var timing = {
+				duration : this.getTiming().mode == 'fallback' ? '0s' : (this.framerate / 1000) + 's',	// fallback mode animates every frame itself
+				'timing-function' : this.timingFunction,
+				delay : '0s'
+			};
+
+		(els || this.elements).each(function() {
+			var el = $(this),
+				data = el.data(jcparallax.transitionStorageKey) || { properties : null, defaults : [] },
+				transitions = mergeTransitions(data.defaults, data.properties || ['all'], timing);
+
+			$.each(transitionLists, function(name) {
+				var val = joinTransitions(transitions, name);
 
-		// set transition-duration for CSS sample tweening
-		$.each(jcparallax.cssDomPrefixes, function(i, prefix) {
-			that.elements.css(prefix + 'transition-duration', cssFramerate);
+				// leave it to the stylesheet where it already declares the same thing
+				if (val == joinTransitions(data.defaults, name)) {
+					val = '';
+				}
+				$.each(jcparallax.cssDomPrefixes, function(i, prefix) {
+					el.css(prefix + 'transition-' + name, val);
+				});
+				el.css('transition-' + name, val);
+			});
 		});
-		this.elements.css('transition-duration', cssFramerate);
 	}
 });
 
+// transition properties which hold parallel lists, with an item for each transitioned property, and their initial values
+var transitionLists = {
+	property : 'all',
+	duration : '0s',
+	'timing-function' : 'ease',
+	delay : '0s'
+};
+
+// read the transitions applied to an element as objects with a value for each of transitionLists
+var readTransitions = function(el)
+{
+	var lists = {},
+		transitions = [];
+
+	$.each(transitionLists, function(name) {
+		lists[name] = jcparallax.splitCssList(el.css('transition-' + name));
+	});
+
+	$.each(lists.property, function(i, prop) {
+		var transition = {};
+
+		if (!prop || prop == 'none') {
+			return;
+		}
+		$.each(transitionLists, function(name, initial) {
+			transition[name] = lists[name][i % lists[name].length] || initial;	// shorter lists repeat
+		});
+		transitions.push(transition);
+	});
+
+	return transitions;
+};
+
+/**
+ * Combine the transitions declared by stylesheets with our own for the given properties. Stylesheet
+ * transitions of other properties are kept, and ours are only added where the last transition declared
+ * for 'all' properties doesn't already have the same timing.
+ */
+var mergeTransitions = function(defaults, properties, timing)
+{
+	var all = $.inArray('all', properties) != -1,
+		merged = $.grep(defaults, function(transition) {
+			return !all && $.inArray(transition.property, properties) == -1;
+		});
+
+	$.each(properties, function(i, prop) {
+		var covering = null,
+			j;
+
+		for (j = merged.length - 1; j >= 0; --j) {
+			if (merged[j].property == 'all') {
+				covering = merged[j];
+				break;
+			}
+		}
+
+		if (covering && covering.duration == timing.duration && covering['timing-function'] == timing['timing-function'] && covering.delay == timing.delay) {
+			return;
+		}
+		merged.push($.extend({ property : prop }, timing));
+	});
+
+	return merged;
+};
+
+var joinTransitions = function(transitions, name)
+{
+	return $.map(transitions, function(transition) {
+		return transition[name];
+	}).join(', ');
+};
+
 })(jQuery);
@@ -0,0 +1,229 @@
+/**
+ * Input tweening class
+ *
+ * Interpolates a pair of input values (0 <= x <= 1) between two positions over
+ * some duration. Tweens don't run their own timers - they are advanced by the
+ * Animator on each tick of its viewport's TransitionInterval, so that tweened
+ * input stays in sync with the CSS transitions smoothing between frames.
+ *
+ * @param {float}           fromX    starting X input value
+ * @param {float}           fromY    starting Y input value
+ * @param {float}           toX      target X input value
+ * @param {float}           toY      target Y input value
+ * @param {int}             duration length of the tween, in ms
+ * @param {string|function} easing   name of an easing function in jcparallax.Tween.easings, a 'cubic-bezier(x1, y1, x2, y2)'
+ *                                   string or a custom easing callback
+ *
+ * @requires jcparallax.js
+ * @author Sam Pospischil <pospi@spadgos.com>
+ */
+(function($) {
+
+jcparallax.Tween = function(fromX, fromY, toX, toY, duration, easing)
+{
+	this.fromX = this.x = fromX;
+	this.fromY = this.y = fromY;
+	this.toX = toX;
+	this.toY = toY;
+	this.duration = duration;
+	this.easing = jcparallax.Tween.getEasing(easing) || jcparallax.Tween.easings.linear;
+};
+
+$.extend(jcparallax.Tween.prototype, {
+
+	elapsed : 0,
+
+	// current interpolated values
+	x : 0,
+	y : 0,
+
+	// rate of change at the start of the tween, in input units per ms. Set when retargeting a running tween.
+	startVelocityX : 0,
+	startVelocityY : 0,
+
+	// rate of change as of the last step
+	velocityX : 0,
+	velocityY : 0,
+
+	/**
+	 * Advance the tween by some amount of time
+	 * @param  {int} dt time elapsed since the last step, in ms
+	 * @return {array} the new X and Y values
+	 */
+	step : function(dt)
+	{
+		var prevX = this.x,
+			prevY = this.y,
+			t, eased, carry;
+
+		this.elapsed = Math.min(this.duration, this.elapsed + (dt || 0));
+
+		t = this.duration ? this.elapsed / this.duration : 1;
+		eased = this.easing(t);
+		carry = (t - 2 * t * t + t * t * t) * this.duration;	// hermite term continuing any velocity we started with
+
+		this.x = this.fromX + (this.toX - this.fromX) * eased + this.startVelocityX * carry;
+		this.y = this.fromY + (this.toY - this.fromY) * eased + this.startVelocityY * carry;
+
+		if (dt) {
+			this.velocityX = (this.x - prevX) / dt;
+			this.velocityY = (this.y - prevY) / dt;
+		}
+
+		return [this.x, this.y];
+	},
+
+	/**
+	 * Begin tweening toward a new target from the current position, carrying
+	 * the current velocity over so that the change in direction is smooth.
+	 *
+	 * @param {float} toX      new target X value
+	 * @param {float} toY      new target Y value
+	 * @param {int}   duration (optional) new duration for the tween, in ms
+	 * @param {mixed} easing   (optional) new easing function for the tween
+	 */
+	retarget : function(toX, toY, duration, easing)
+	{
+		this.startVelocityX = this.isComplete() ? 0 : this.velocityX;
+		this.startVelocityY = this.isComplete() ? 0 : this.velocityY;
+		this.fromX = this.x;
+		this.fromY = this.y;
+		this.toX = toX;
+		this.toY = toY;
+		if (duration !== undefined) {
+			this.duration = duration;
+		}
+		if (easing) {
+			this.easing = jcparallax.Tween.getEasing(easing) || this.easing;
+		}
+		this.elapsed = 0;
+	},
+
+	/**
+	 * Move the target of the tween without affecting its progress, for following
+	 * a target which is itself moving.
+	 */
+	setTarget : function(toX, toY)
+	{
+		this.toX = toX;
+		this.toY = toY;
+	},
+
+	isComplete : function()
+	{
+		return this.elapsed >= this.duration;
+	}
+});
+
+//------------------------------------------------------------------------------
+// Easing functions
+//------------------------------------------------------------------------------
+
+/**
+ * Easing callbacks receive the tween's progress from 0 - 1 and return the
+ * proportion of the distance to the target which should be covered.
+ */
+jcparallax.Tween.easings = {
+
+	linear : function(t)
+	{
+		return t;
+	},
+
+	easeIn : function(t)
+	{
+		return t * t;
+	},
+
+	easeOut : function(t)
+	{
+		return t * (2 - t);
+	},
+
+	easeInOut : function(t)
+	{
+		return t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t;
+	}
+};
+
+/**
+ * Create an easing function from the control points of a cubic bezier curve, as
+ * with the CSS cubic-bezier() timing function.
+ *
+ * @return {function}
+ */
+jcparallax.Tween.cubicBezier = function(x1, y1, x2, y2)
+{
+	var cx = 3 * x1,
+		bx = 3 * (x2 - x1) - cx,
+		ax = 1 - cx - bx,
+		cy = 3 * y1,
+		by = 3 * (y2 - y1) - cy,
+		ay = 1 - cy - by;
+
+	var sampleX = function(t) {
+			return ((ax * t + bx) * t + cx) * t;
+		},
+		sampleY = function(t) {
+			return ((ay * t + by) * t + cy) * t;
+		},
+		slopeX = function(t) {
+			return (3 * ax * t + 2 * bx) * t + cx;
+		};
+
+	return function(x) {
+		var t = x,
+			lo = 0,
+			hi = 1,
+			i, diff, slope;
+
+		// solve for the curve parameter at x by newton's method, then bisection if that doesn't converge
+		for (i = 0; i < 8; ++i) {
+			diff = sampleX(t) - x;
+			if (Math.abs(diff) < 0.000001) {
+				return sampleY(t);
+			}
+			slope = slopeX(t);
+			if (Math.abs(slope) < 0.000001) {
+				break;
+			}
+			t -= diff / slope;
+		}
+
+		t = x;
+		for (i = 0; i < 30 && Math.abs(sampleX(t) - x) >= 0.000001; ++i) {
+			if (sampleX(t) < x) {
+				lo = t;
+			} else {
+				hi = t;
+			}
+			t = (lo + hi) / 2;
+		}
+		return sampleY(t);
+	};
+};
+
+/**
+ * Look up an easing function
+ *
+ * @param  {string|function} easing name of a function in jcparallax.Tween.easings, a 'cubic-bezier(x1, y1, x2, y2)' string or a callback
+ * @return {function} easing callback, or undefined if none could be found
+ */
+jcparallax.Tween.getEasing = function(easing)
+{
+	var points;
+
+	if ($.isFunction(easing)) {
+		return easing;
+	}
+
+	points = typeof easing == 'string' && easing.match(/^\s*cubic-bezier\(([^)]*)\)\s*$/);
+	if (points) {
+		points = $.map(points[1].split(','), parseFloat);
+		return jcparallax.Tween.cubicBezier(points[0], points[1], points[2], points[3]);
+	}
+
+	return jcparallax.Tween.easings[easing];
+};
+
+})(jQuery);
@@ -5,14 +5,19 @@
  *
  * @requires jcparallax.js
  * @requires jcp-animator.js
- * @requires jcp-timer.js
+ * @requires jcp-transitioninterval.js
+ * @requires jcp-scheduler.js
+ * @requires jcp-tween.js
+ * @requires jcp-timeline.js
  * @requires jcp-layer.js
  *
  * @param {jQuery} el           element to read input coordinates from for animating the parallax
  * @param {object} options      default options for each layer's movement
- * @param {object} layerOptions array of options corresponding to each layer resulting from running
+ * @param {mixed}  layerOptions array of options corresponding to each layer resulting from running
  *                              options.layerSelector against the viewport element (or against each element
- *                              in options.layerSelector if it is provided as a jQuery collection)
+ *                              in options.layerSelector if it is provided as a jQuery collection), or an object
+ *                              of options keyed by layer selector or 'jcp-layer' data attribute. Keyed options
+ *                              also apply to layers added later with addLayers().
  */
 (function($) {
 
@@ -28,43 +33,90 @@ jcparallax.Viewport = function(el, options, layerOptions)
 
 		movementRangeX:	true,
 		movementRangeY: true,
+		movementUnit:	null,		// CSS unit for lengths output by animation handlers, such as '%', 'em' or 'vw'. Defaults to px.
 
 		inputEvent:		null,		// for use when using a custom inputHandler callback
+		inputTarget:	null,		// element to bind inputEvent to when using a custom inputHandler, if not the viewport element
 		inputHandler:	'mousemove',
 
+		clickDuration:	500,		// time taken to move between positions with the 'click' inputHandler, in ms
+		clickEasing:	'easeInOut',	// easing function for 'click' input. @see jcparallax.Tween.easings
+
+		leaveBehaviour:	'stay',		// what happens when the pointer leaves the viewport: 'stay' put, 'snap' to restPosition or 'drift' back to it
+		restPosition:	[0.5, 0.5],	// input values to return to when the pointer leaves the viewport
+		leaveDuration:	800,		// time taken to drift back to restPosition, in ms
+		leaveEasing:	'easeInOut',
+		enterDuration:	0,			// time taken to ease from the current position to the pointer when it re-enters the viewport, in ms. 0 to jump immediately.
+		enterEasing:	'easeOut',
+		pauseBehaviour:	'stay',		// what happens when paused: 'stay' frozen, or 'snap' or 'drift' back to restPosition
+
+		dragFriction:	0.004,		// proportion of momentum lost per ms after releasing a 'drag' input
+		pinchRange:		[0.5, 2],	// range of pinch scales mapped onto X input by the 'gesture' input handler
+		rotateRange:	[-180, 180],	// range of two-finger rotation in degrees mapped onto Y input by the 'gesture' input handler
+		tiltRange:		30,			// degrees of tilt either side of the neutral pose mapped onto the full input range by the 'deviceorientation' input handler
+		pageScrollOffsets: [0, 0],	// distances in px inside the window's trailing & leading edges at which 'pagescroll' input begins and ends
+
+		depth:			null,		// distance of layers behind the screen, scaling their movement relative to focalDepth. Read from 'jcp-depth' data attributes where present.
+		focalDepth:		1,			// depth at which layers move through their full range
+		cameraDistance:	null,		// distance of a virtual camera in front of the screen, for perspective-correct depth scaling
+		depthScale:		false,		// scale layers in proportion to their depth
+		depthBlur:		0,			// px of blur applied per unit of depth away from the focal plane
+
+		responseX:		null,		// response curve for mapping each axis of input before it is animated. @see jcparallax.Animator.responseCurves
+		responseY:		null,
+		swapAxes:		false,		// swap X and Y input, eg. to move a layer horizontally as the page scrolls vertically
+
+		smoothing:		null,		// optional physics model between sampled & rendered input: 'spring', 'follow' or 'inertia'. @see jcparallax.Animator.smoothers
+		smoothingTime:	250,		// approximate time taken for smoothed input to catch up with the input, in ms. Increase for deeper layers.
+		smoothingFriction: 0.004,	// proportion of velocity lost per ms with 'inertia' smoothing
+
 		animHandler:	'position',
+		blendMode:		'average',	// how animators on a layer combine when writing the same CSS property. @see jcparallax.Layer.blendModes
+		blendWeight:	1,			// weighting (or opacity) of each animator's contribution when blending
 		framerate:		120,		// sampling rate (in ms) when using CSS transitions to tween between samples
-		fbFramerate:	null,		// sampling rate for fallback plain-js mode. Calculated from framerate if not provided.
-		transitionCheckCb : null
+		fbFramerate:	null,		// sampling rate for fallback plain-js mode. Runs every display frame if not provided.
+		transitionEasing: 'linear',	// CSS timing function for transitions between samples
+		transitionCheckCb : null,
+
+		refreshOnResize:	true,	// refresh coordinates when the window is resized
+		observeResize:	false,		// refresh coordinates when the viewport or any layer changes size, where ResizeObserver is supported
+		observeMutations: false,	// refresh coordinates when content is added, removed or changed within the viewport, where MutationObserver is supported
+		refreshDelay:	100			// time to wait for resizing or DOM changes to finish before refreshing, in ms
 	};
 
-	// determine layer movement ranges if set to automatic
+	// determine layer movement ranges if set to automatic. Options in markup override those given here.
 	this.options = $.extend(true, defaults, options);
+	$.extend(this.options, jcparallax.readMarkupOptions(el));
 
 	// set layer opts for passing on to child layers
 	this.layerOptions = layerOptions;
 
-	// create the timer handler for updating the effect (:TODO: disable when inactive, reuse synced timers)
+	// create the timer handler for updating the effect. This is synced with other viewports and
+	// suspended when inactive by jcparallax.scheduler.
 	var that = this;
 	this.timer = new jcparallax.TransitionInterval(function() {
-		return that.updateLayers.call(that);
+		return that.updateLayers.call(that, this.frameDuration);
 	}, this.options.framerate, this.options.fbFramerate, function() {
-		that._checkFramerate.call(that);
-	});
+		return that._checkFramerate.call(that);
+	}, this.options.transitionEasing);
 
 	// find layers
 	var layers;
-	if (options.layerSelector.jquery) {
-		layers = options.layerSelector;
+	if (this.options.layerSelector.jquery) {
+		layers = this.options.layerSelector;
 	} else {
-		layers = $(options.layerSelector, el);
+		layers = $(this.options.layerSelector, el);
 	}
 
-	// initialise layers
-	this.addLayers(layers);
+	// initialise layers. Keyed layer options are applied by addLayers() itself.
+	this.layers = [];
+	this.addLayers(layers, $.isArray(layerOptions) ? layerOptions : null);
 
 	// start our animation timer
-	this.timer.start();
+	this._start();
+
+	// keep coordinates up to date with layout changes
+	this._bindRefreshEvents();
 };
 
 $.extend(jcparallax.Viewport.prototype, {
@@ -77,25 +129,48 @@ $.extend(jcparallax.Viewport.prototype, {
 	scrollX : null,
 	scrollY : null,
 
+	enabled : true,		// false while paused, @see pause()
+	touchAction : '',	// touch-action CSS we have applied to the viewport element for our input handlers
+	originalTouchAction : null,	// the viewport element's own inline touch-action CSS, whilst we override it
+
+	refreshTimeout : null,	// pending debounced refresh, @see scheduleRefresh()
+	resizeHandler : null,
+	resizeObserver : null,
+	mutationObserver : null,
+
 	/**
-	 * Add elements as layers to this viewport
-	 * @param {jQuery} layerEls jQuery collection containing new layer elements to create
+	 * Add elements as layers to this viewport. Existing layers are kept, and elements
+	 * which are already layers of this viewport are ignored.
+	 *
+	 * @param {jQuery} layerEls     jQuery collection containing new layer elements to create
+	 * @param {mixed}  layerOptions (optional) array of options corresponding to each element in layerEls, or
+	 *                              an object of options keyed by layer selector or 'jcp-layer' data attribute
 	 */
-	addLayers : function(layerEls)
+	addLayers : function(layerEls, layerOptions)
 	{
-		var that = this;
-
-		this.layers = [];
+		var that = this,
+			added = [],
+			addedLayers = [];
 
-		layerEls.each(function(i) {
+		$(layerEls).each(function(i) {
 			var opts = $.extend({}, that.options),
 				layer = $(this),
-				handler;
+				handler = layer.data(jcparallax.layerStorageKey);
+
+			if (handler && handler.viewport === that) {
+				return;
+			}
 
-			// build options by merging in layer-specific overrides
-			if (that.layerOptions && that.layerOptions[i]) {
-				$.extend(opts, that.layerOptions[i]);
+			// build options by merging in layer-specific overrides. Keyed viewport layer options apply first.
+			if (that.layerOptions && !$.isArray(that.layerOptions)) {
+				that._mergeLayerOptions(opts, layer, that.layerOptions);
+			}
+			if ($.isArray(layerOptions)) {
+				$.extend(opts, layerOptions[i]);
+			} else if (layerOptions) {
+				that._mergeLayerOptions(opts, layer, layerOptions);
 			}
+			$.extend(opts, jcparallax.readMarkupOptions(layer));
 
 			// create and store the new layer handler
 			handler = new jcparallax.Layer(that, layer, opts);
@@ -103,9 +178,253 @@ $.extend(jcparallax.Viewport.prototype, {
 			layer.data(jcparallax.layerStorageKey, handler);
 
 			that.layers.push(handler);
+			added.push(this);
+			addedLayers.push(handler);
+
+			if (that.resizeObserver) {
+				that.resizeObserver.observe(this);
+			}
+		});
+
+		this.timer.addElements(added);	// add layer elements for control by the timer
+		this.timer.wake();				// draw new layers at the current input position
+		this._updateTouchAction();
+
+		$.each(addedLayers, function(i, layer) {
+			jcparallax.trigger(layer.element, 'layeradd', { layer : layer });
+		});
+	},
+
+	/**
+	 * Remove layers from this viewport, restoring their original inline styles.
+	 * The elements themselves are left in the DOM.
+	 *
+	 * @param {jQuery} layerEls jQuery collection or selector of layer elements to remove
+	 */
+	removeLayers : function(layerEls)
+	{
+		var that = this,
+			removed = [];
+
+		layerEls = $(layerEls);
+
+		this.layers = $.grep(this.layers, function(layer) {
+			if (layerEls.index(layer.element[0]) == -1) {
+				return true;
+			}
+			removed.push(layer);
+			return false;
+		});
+
+		$.each(removed, function(i, layer) {
+			if (that.resizeObserver) {
+				that.resizeObserver.unobserve(layer.element[0]);
+			}
+			that.timer.removeElements(layer.element);
+			layer.destroy();
+
+			jcparallax.trigger(layer.element, 'layerremove', { layer : layer });
+		});
+
+		this._updateTouchAction();
+	},
+
+	/**
+	 * Tear down the viewport, stopping its timer, unbinding all event handlers and
+	 * restoring the original inline styles of all layers.
+	 */
+	destroy : function()
+	{
+		var layers = this.layers;
+
+		this._stop();
+		this.timer.removeElements(this.timer.elements);
+		this._unbindRefreshEvents();
+
+		this.layers = [];
+		$.each(layers, function(i, layer) {
+			layer.destroy();
+		});
+		this._updateTouchAction();
+
+		this.element.removeData(jcparallax.viewportStorageKey);
+	},
+
+	/**
+	 * Stop sampling input and animating layers. Layers are frozen in place, or returned to their
+	 * animators' restPosition according to the pauseBehaviour option before the timer stops.
+	 *
+	 * @param {string} behaviour (optional) 'stay', 'snap' or 'drift', to override the pauseBehaviour option
+	 */
+	pause : function(behaviour)
+	{
+		if (!this.enabled) {
+			return;
+		}
+		this.enabled = false;
+
+		behaviour = behaviour || this.options.pauseBehaviour;
+		if (behaviour == 'stay') {
+			$.each(this.getAnimators(), function(i, anim) {
+				anim.cancelArrival();
+			});
+			this._stop();
+			return;
+		}
+
+		// animate to rest, updateLayers() will stop the timer once settled
+		$.each(this.layers, function(i, layer) {
+			$.each(layer.animators, function(j, anim) {
+				anim.returnToRest(behaviour);
+			});
+		});
+		this.timer.wake();
+	},
+
+	/**
+	 * Resume sampling input and animating layers after pause()
+	 */
+	resume : function()
+	{
+		if (this.enabled) {
+			return;
+		}
+		this.enabled = true;
+		this._start();
+	},
+
+	/**
+	 * Set the input position of our layers directly, without any DOM event. Layers move
+	 * exactly as they would for input from their input handlers.
+	 *
+	 * @param {float}  x      X input value (0 <= x <= 1)
+	 * @param {float}  y      Y input value
+	 * @param {object} filter (optional) limits the animators affected. @see getAnimators()
+	 */
+	setInput : function(x, y, filter)
+	{
+		$.each(this.getAnimators(filter), function(i, anim) {
+			anim.setInput(x, y);
+		});
+	},
+
+	/**
+	 * Tween the input position of our layers to some new values over time.
+	 *
+	 * @param  {float}           x        target X input value (0 <= x <= 1)
+	 * @param  {float}           y        target Y input value
+	 * @param  {int}             duration (optional) length of the animation in ms, defaults to each animator's leaveDuration
+	 * @param  {string|function} easing   (optional) easing function, defaults to each animator's leaveEasing
+	 * @param  {object}          filter   (optional) limits the animators affected. @see getAnimators()
+	 * @return {jQuery.Promise} resolved once all affected layers have arrived, or rejected if any are interrupted.
+	 *                          Rejected straight away if the viewport is paused.
+	 */
+	animateTo : function(x, y, duration, easing, filter)
+	{
+		var that = this,
+			arrived = $.Deferred(),
+			promises;
+
+		if (!this.enabled) {
+			return arrived.rejectWith(this, [this]).promise();
+		}
+
+		promises = $.map(this.getAnimators(filter), function(anim) {
+			return anim.animateTo(x, y, duration, easing);
+		});
+
+		$.when.apply($, promises).then(function() {
+			arrived.resolveWith(that, [that]);
+		}, function() {
+			arrived.rejectWith(that, [that]);
+		});
+
+		return arrived.promise();
+	},
+
+	/**
+	 * Start or resume playback of the timelines of animators using the 'timeline' input handler
+	 * @param {object} filter (optional) limits the animators affected. @see getAnimators()
+	 */
+	playTimeline : function(filter)
+	{
+		this._eachTimeline(filter, function(timeline) {
+			timeline.play();
+		});
+	},
+
+	pauseTimeline : function(filter)
+	{
+		this._eachTimeline(filter, function(timeline) {
+			timeline.pause();
+		});
+	},
+
+	/**
+	 * @param {int}    time   playback position to move timelines to, in ms
+	 * @param {object} filter (optional) limits the animators affected. @see getAnimators()
+	 */
+	seekTimeline : function(time, filter)
+	{
+		this._eachTimeline(filter, function(timeline) {
+			timeline.seek(time);
+		});
+	},
+
+	/**
+	 * @param {float}  rate   playback speed multiplier, negative to play backwards
+	 * @param {object} filter (optional) limits the animators affected. @see getAnimators()
+	 */
+	setTimelineRate : function(rate, filter)
+	{
+		this._eachTimeline(filter, function(timeline) {
+			timeline.setPlaybackRate(rate);
+		});
+	},
+
+	/**
+	 * Find the animators of our layers, optionally limited by a filter object with the properties:
+	 * 	layer:		selector, element, jQuery object or Layer matching the layers to include
+	 * 	animator:	index or array of indexes of the animators to include on each layer, or a callback
+	 * 				receiving the index and Layer with the Animator as context and returning true to include it
+	 *
+	 * @param  {object} filter (optional)
+	 * @return {array} of jcparallax.Animator
+	 */
+	getAnimators : function(filter)
+	{
+		var result = [];
+
+		filter = filter || {};
+
+		$.each(this.layers, function(i, layer) {
+			if (filter.layer && (filter.layer instanceof jcparallax.Layer ? layer !== filter.layer : !layer.element.is(filter.layer))) {
+				return;
+			}
+			$.each(layer.animators, function(j, anim) {
+				var which = filter.animator;
+
+				if (which === undefined || which === null
+				  || ($.isFunction(which) ? which.call(anim, j, layer) : $.inArray(j, $.isArray(which) ? which : [which]) != -1)) {
+					result.push(anim);
+				}
+			});
 		});
 
-		this.timer.addElements(layerEls);	// add layer elements for control by the timer
+		return result;
+	},
+
+	/**
+	 * Pause or resume the viewport, depending on its current state
+	 * @param {string} behaviour (optional) pause behaviour override, @see pause()
+	 */
+	toggle : function(behaviour)
+	{
+		if (this.enabled) {
+			this.pause(behaviour);
+		} else {
+			this.resume();
+		}
 	},
 
 	/**
@@ -114,24 +433,42 @@ $.extend(jcparallax.Viewport.prototype, {
 	 * position from its input callback, and should be run at a regular interval
 	 * for best success.
 	 *
-	 * @return true if the input event coordinates were different to last time - required for CSS transition timing to function
+	 * @param  {int} dt (optional) time represented by this frame in ms, for advancing time-based input such as tweens
+	 * @return true if the input event coordinates were different to last time, or input is still being
+	 *         animated - required for CSS transition timing to function
 	 */
-	updateLayers : function()
+	updateLayers : function(dt)
 	{
 		// redraw the layer elements
-		var changed = false;
+		var changed = false,
+			redrawn = [];
 		$.each(this.layers, function(i, layer) {
-			if (layer.redraw()) {
+			redrawn[i] = layer.redraw(dt);
+			if (redrawn[i] || layer.isAnimating()) {
 				changed = true;
 			}
 		});
+
+		// settle any animateTo() calls which have arrived, running another frame for anything started by their callbacks
+		$.each(this.layers, function(i, layer) {
+			$.each(layer.animators, function(j, anim) {
+				if (anim.checkArrival(redrawn[i])) {
+					changed = true;
+				}
+			});
+		});
+
+		// finished moving to rest after being paused
+		if (!this.enabled && !changed) {
+			this._stop();
+		}
 		return changed;		// return to indicate whether layers needed updating
 	},
 
 	/**
 	 * Refreshes the coordinates of the viewport used in input normalisation,
 	 * as well as refreshing the movement ranges for all layers under the control
-	 * of the viewport.
+	 * of the viewport. Layers are redrawn at the last input position using the new ranges.
 	 */
 	refreshCoords : function()
 	{
@@ -148,25 +485,200 @@ $.extend(jcparallax.Viewport.prototype, {
 			$.each(this.layers, function(i, layer) {
 				layer.refreshCoords();
 			});
+			jcparallax.trigger(this.element, 'refresh');
 		}
+		if (this.timer) {
+			this.timer.wake();
+		}
+	},
+
+	/**
+	 * Refresh coordinates once no further calls have been made for the refreshDelay option's duration.
+	 * Used to respond to resizing and DOM changes, which usually arrive in bursts.
+	 */
+	scheduleRefresh : function()
+	{
+		var that = this;
+
+		clearTimeout(this.refreshTimeout);
+		this.refreshTimeout = setTimeout(function() {
+			that.refreshTimeout = null;
+			that.refreshCoords();
+		}, this.options.refreshDelay);
+	},
+
+	/**
+	 * Recalibrate the neutral position of input handlers which support it (such as 'deviceorientation'),
+	 * taking the next reading as the resting position of the input.
+	 */
+	calibrate : function()
+	{
+		$.each(this.layers, function(i, layer) {
+			$.each(layer.animators, function(j, anim) {
+				anim.calibrate();
+			});
+		});
 	},
 
 	/**
-	 * Checks input jcparallax options and returns the appropriate framerate for
-	 * animation depending on available browser support.
+	 * Checks our options against available browser support to determine whether CSS
+	 * transitions can be used to tween between frames, or whether fallback mode is needed.
 	 *
-	 * Used internally by Viewport and Layer classes to determine animation speed.
+	 * Used internally by the viewport's TransitionInterval to determine animation timing.
+	 * Each animation handler's descriptor determines whether its output can be transitioned - @see
+	 * jcparallax.Animator.animHandlers. The transitionCheckCb option may be provided for additional
+	 * custom checking of the options. This callback should return TRUE if CSS transitions can be used
+	 * for the animHandler given in the options.
 	 *
-	 * @param  {object}   opts             input options map to jcparallax.Viewport or jcparallax.Layer
-	 * @param  {function} transitionCheckCb (optional) callback for additional custom checking of the input options, to enable future expansion.
-	 *                                     This callback should return TRUE if CSS transitions can be used for the animHandler given in the options.
-	 * @return {int} the sampling interval to animate this transition at, in ms
+	 * @return {bool} true if CSS transitions can be used for all of our layers
 	 */
 	_checkFramerate : function()
 	{
-		return ((!jcparallax.support.backgroundTransitions && this.options.animHandler == 'background')
-		 || (!jcparallax.support.textShadowTransitions && this.options.animHandler == 'textShadow')
-		 || (this.options.transitionCheckCb && !this.options.transitionCheckCb.call(this, this.options)));
+		var ok = true;
+
+		$.each(this._getAnimHandlers(), function(i, handler) {
+			if (!jcparallax.Animator.isTransitionable(handler)) {
+				ok = false;
+				return false;
+			}
+		});
+
+		return ok && !(this.options.transitionCheckCb && !this.options.transitionCheckCb.call(this, this.options));
+	},
+
+	_start : function()
+	{
+		if (!this.timer.isRunning()) {
+			jcparallax.trigger(this.element, 'start');
+			this.timer.start();
+		}
+	},
+
+	_stop : function()
+	{
+		if (this.timer.isRunning()) {
+			this.timer.stop();
+			jcparallax.trigger(this.element, 'stop');
+		}
+	},
+
+	// run a callback for the timeline of each matching animator, then wake them to show the change
+	_eachTimeline : function(filter, cb)
+	{
+		$.each(this.getAnimators(filter), function(i, anim) {
+			if (anim.timeline) {
+				cb(anim.timeline);
+				anim.wake();
+			}
+		});
+	},
+
+	// set the touch-action CSS needed by our layers' input handlers, so that touch browsers send them
+	// pointer events rather than scrolling the page. Any inline value of the page's own is restored once no longer needed.
+	_updateTouchAction : function()
+	{
+		var el = this.element[0],
+			action = '';
+
+		$.each(this.getAnimators(), function(i, anim) {
+			if (anim.touchAction) {
+				action = anim.touchAction;
+				return false;
+			}
+		});
+
+		if (action == this.touchAction) {
+			return;
+		}
+		this.touchAction = action;
+
+		if (!action) {
+			this.element.css(this.originalTouchAction);
+			this.originalTouchAction = null;
+			return;
+		}
+
+		if (!this.originalTouchAction) {
+			this.originalTouchAction = {
+				'touch-action' : $.style(el, 'touch-action') || '',
+				'-ms-touch-action' : $.style(el, '-ms-touch-action') || ''
+			};
+		}
+		this.element.css({ 'touch-action' : action, '-ms-touch-action' : action });
+	},
+
+	// bind window resize events and create DOM observers according to our options
+	_bindRefreshEvents : function()
+	{
+		var that = this;
+
+		if (this.options.refreshOnResize) {
+			this.resizeHandler = function() {
+				that.scheduleRefresh();
+			};
+			$(window).on('resize' + jcparallax.eventNamespace, this.resizeHandler);
+		}
+
+		if (this.options.observeResize && window.ResizeObserver) {
+			this.resizeObserver = new window.ResizeObserver(this.resizeHandler || function() {
+				that.scheduleRefresh();
+			});
+			this.resizeObserver.observe(this.element[0]);
+			$.each(this.layers, function(i, layer) {
+				that.resizeObserver.observe(layer.element[0]);
+			});
+		}
+
+		// only watch content & structure, since we modify layer styles ourselves every frame
+		if (this.options.observeMutations && window.MutationObserver) {
+			this.mutationObserver = new window.MutationObserver(function() {
+				that.scheduleRefresh();
+			});
+			this.mutationObserver.observe(this.element[0], { childList : true, subtree : true, characterData : true });
+		}
+	},
+
+	_unbindRefreshEvents : function()
+	{
+		clearTimeout(this.refreshTimeout);
+		this.refreshTimeout = null;
+
+		if (this.resizeHandler) {
+			$(window).off('resize' + jcparallax.eventNamespace, this.resizeHandler);
+			this.resizeHandler = null;
+		}
+		if (this.resizeObserver) {
+			this.resizeObserver.disconnect();
+			this.resizeObserver = null;
+		}
+		if (this.mutationObserver) {
+			this.mutationObserver.disconnect();
+			this.mutationObserver = null;
+		}
+	},
+
+	// extend layer options with any entries from a keyed set of options which match the given layer element
+	_mergeLayerOptions : function(opts, layer, keyedOptions)
+	{
+		$.each(keyedOptions, function(key, layerOpts) {
+			if (layer.data('jcp-layer') == key || layer.is(key)) {
+				$.extend(opts, layerOpts);
+			}
+		});
+	},
+
+	// list the animation handlers given in our options and used by each of our layers' animators
+	_getAnimHandlers : function()
+	{
+		var handlers = $.isArray(this.options.animHandler) ? this.options.animHandler.slice() : [this.options.animHandler];
+
+		$.each(this.layers || [], function(i, layer) {
+			$.each(layer.animators, function(j, anim) {
+				handlers.push(anim.handler);
+			});
+		});
+
+		return handlers;
 	}
 });
 
@@ -174,6 +686,18 @@ $.extend(jcparallax.Viewport.prototype, {
 // Input event handlers
 //------------------------------------------------------------------------------
 
+// read page coordinates from mouse, pointer or touch events
+var getPagePos = function(evt)
+{
+	var orig = evt.originalEvent || evt,
+		touches = orig.touches && orig.touches.length ? orig.touches : orig.changedTouches;
+
+	if (touches && touches.length) {
+		return [touches[0].pageX, touches[0].pageY];
+	}
+	return [evt.pageX !== undefined ? evt.pageX : orig.pageX, evt.pageY !== undefined ? evt.pageY : orig.pageY];
+};
+
 jcparallax.Viewport.inputHandlers = {
 
 	mousemove : function(el, evt)
@@ -184,6 +708,20 @@ jcparallax.Viewport.inputHandlers = {
 		this.updateLastSamplePos(xPos / this.viewport.sizeX, yPos / this.viewport.sizeY);
 	},
 
+	pointermove : function(el, evt)
+	{
+		var pos = getPagePos(evt);
+
+		this.updateLastSamplePos((pos[0] - this.viewport.offsetX) / this.viewport.sizeX, (pos[1] - this.viewport.offsetY) / this.viewport.sizeY);
+	},
+
+	touchmove : function(el, evt)
+	{
+		var pos = getPagePos(evt);
+
+		this.updateLastSamplePos((pos[0] - this.viewport.offsetX) / this.viewport.sizeX, (pos[1] - this.viewport.offsetY) / this.viewport.sizeY);
+	},
+
 	scroll : function(el, evt)
 	{
 		var xPos = el.scrollLeft(),
@@ -199,23 +737,240 @@ jcparallax.Viewport.inputHandlers = {
 		var xPos = evt.pageX - this.viewport.offsetX,
 			yPos = evt.pageY - this.viewport.offsetY;
 
-		// :TODO: start a timer to animate the parallax over the specified duration
-		this.updateLastSamplePos(xPos / this.viewport.sizeX, yPos / this.viewport.sizeY);
+		this.tweenTo(xPos / this.viewport.sizeX, yPos / this.viewport.sizeY, this.options.clickDuration, this.options.clickEasing);
+	},
+
+	// pans input like scrolling the viewport, and continues with momentum after release
+
+	drag : function(el, evt)
+	{
+		var orig = evt.originalEvent || evt,
+			pos = getPagePos(evt),
+			now = new Date().getTime(),
+			g = this.gesture,
+			xVal, yVal, dt;
+
+		switch (evt.type) {
+			case 'pointerdown':
+			case 'touchstart':
+				// keep receiving the pointer's events if it is released outside the viewport
+				if (orig.pointerId !== undefined && el[0].setPointerCapture) {
+					try {
+						el[0].setPointerCapture(orig.pointerId);
+					} catch (e) {}
+				}
+				this.momentum = null;
+				this.tween = null;
+				this.cancelArrival();
+				this.gesture = {
+					startX : pos[0],
+					startY : pos[1],
+					fromX : this.lastSampledX,
+					fromY : this.lastSampledY,
+					time : now,
+					velocityX : 0,
+					velocityY : 0
+				};
+				break;
+			case 'pointermove':
+			case 'touchmove':
+				if (!g) {
+					return;		// not dragging
+				}
+				if (orig.buttons === 0) {
+					this.gesture = null;	// released somewhere we didn't hear about
+					return;
+				}
+				xVal = Math.min(1, Math.max(0, g.fromX - (pos[0] - g.startX) / this.viewport.sizeX));
+				yVal = Math.min(1, Math.max(0, g.fromY - (pos[1] - g.startY) / this.viewport.sizeY));
+
+				dt = now - g.time;
+				if (dt > 0) {
+					g.velocityX = (xVal - this.lastSampledX) / dt;
+					g.velocityY = (yVal - this.lastSampledY) / dt;
+					g.time = now;
+				}
+
+				this.updateLastSamplePos(xVal, yVal);
+				break;
+			default:	// released
+				if (g && now - g.time < 100) {	// only carry momentum if still moving on release
+					this.momentum = { x : g.velocityX, y : g.velocityY };
+					this.wake();
+				}
+				this.gesture = null;
+				break;
+		}
+	},
+
+	// maps pinch scale to the X axis and two-finger rotation to the Y axis
+
+	gesture : function(el, evt)
+	{
+		var touches = (evt.originalEvent || evt).touches,
+			opts = this.options,
+			g = this.gesture || (this.gesture = { scale : 1, rotation : 0 }),
+			dx, dy, distance, angle;
+
+		if (!touches || touches.length < 2) {
+			g.startDistance = null;		// gesture ended, keep the accumulated values for the next one
+			return;
+		}
+
+		evt.preventDefault();	// prevent browser zooming
+
+		dx = touches[1].pageX - touches[0].pageX;
+		dy = touches[1].pageY - touches[0].pageY;
+		distance = Math.sqrt(dx * dx + dy * dy);
+		angle = Math.atan2(dy, dx) * 180 / Math.PI;
+
+		if (!g.startDistance) {
+			g.startDistance = distance;
+			g.startAngle = angle;
+			g.startScale = g.scale;
+			g.startRotation = g.rotation;
+			return;
+		}
+
+		g.scale = g.startScale * distance / g.startDistance;
+		g.rotation = g.startRotation + angle - g.startAngle;
+
+		this.updateLastSamplePos(Math.min(1, Math.max(0, (g.scale - opts.pinchRange[0]) / (opts.pinchRange[1] - opts.pinchRange[0]))),
+								 Math.min(1, Math.max(0, (g.rotation - opts.rotateRange[0]) / (opts.rotateRange[1] - opts.rotateRange[0]))));
+	},
+
+	// maps device tilt to each axis: left-right tilt (gamma) to X and front-back tilt (beta) to Y
+
+	deviceorientation : function(el, evt)
+	{
+		var orig = evt.originalEvent || evt,
+			screenAngle = window.screen && window.screen.orientation ? window.screen.orientation.angle : (window.orientation || 0),
+			range = this.options.tiltRange * 2,
+			dx, dy, tmp;
+
+		if (orig.beta === null || orig.beta === undefined || orig.gamma === null || orig.gamma === undefined) {
+			return;		// no sensor available
+		}
+
+		// take the first reading (or first after calibrate() or a screen rotation) as neutral
+		if (!this.neutralInput || this.neutralInput.screenAngle != screenAngle) {
+			this.neutralInput = { beta : orig.beta, gamma : orig.gamma, screenAngle : screenAngle };
+		}
+
+		dx = orig.gamma - this.neutralInput.gamma;
+		dy = orig.beta - this.neutralInput.beta;
+
+		// device axes are fixed, so swap or invert them to match the screen's orientation
+		switch ((screenAngle + 360) % 360) {
+			case 90:
+				tmp = dx;
+				dx = dy;
+				dy = -tmp;
+				break;
+			case 180:
+				dx = -dx;
+				dy = -dy;
+				break;
+			case 270:
+				tmp = dx;
+				dx = -dy;
+				dy = tmp;
+				break;
+		}
+
+		this.updateLastSamplePos(Math.min(1, Math.max(0, 0.5 + dx / range)), Math.min(1, Math.max(0, 0.5 + dy / range)));
 	},
 
-	// the following advanced events would need to have inputEvent provided in options as well
+	// reads the progress of the viewport element through the window as the page scrolls. Input is 0 when
+	// the element enters at the bottom / right of the window and 1 when it leaves at the top / left.
+
+	pagescroll : function(el, evt)
+	{
+		var win = $(window),
+			offsets = this.options.pageScrollOffsets,
+			winX = win.width(),
+			winY = win.height(),
+			distX = winX + this.viewport.sizeX - offsets[0] - offsets[1],
+			distY = winY + this.viewport.sizeY - offsets[0] - offsets[1],
+			xPos = winX - offsets[0] - (this.viewport.offsetX - win.scrollLeft()),
+			yPos = winY - offsets[0] - (this.viewport.offsetY - win.scrollTop());
+
+		this.updateLastSamplePos(distX > 0 ? Math.min(1, Math.max(0, xPos / distX)) : 0,
+								 distY > 0 ? Math.min(1, Math.max(0, yPos / distY)) : 0);
+	},
+
+	// mousemove with the 'centered' response curve applied to the X axis. Equivalent to
+	// using 'mousemove' with a responseX of 'centered', except that the curve is applied before smoothing.
 
 	mousemove_xcentered : function(el, evt)
 	{
-		var xPos = evt.pageX - this.viewport.offsetX,
-			yPos = evt.pageY - this.viewport.offsetY,
-			halfX = this.viewport.sizeX / 2;
-		if (xPos > halfX) {
-			xPos -= halfX;
-			xPos = halfX - xPos;
+		var centered = jcparallax.Animator.getResponseCurve('centered');
+
+		this.updateLastSamplePos(centered((evt.pageX - this.viewport.offsetX) / this.viewport.sizeX), (evt.pageY - this.viewport.offsetY) / this.viewport.sizeY);
+	},
+
+	// plays back the keyframes given in the timeline option, advancing on every tick of the viewport's timer
+
+	timeline : function(el, evt)
+	{
+		if (!this.timeline) {
+			return;
+		}
+
+		var pos = this.timeline.step(evt.frameDuration);
+
+		if (pos[0] != this.lastSampledX || pos[1] != this.lastSampledY) {
+			this.updateLastSamplePos(pos[0], pos[1]);
 		}
-		this.updateLastSamplePos((xPos / this.viewport.sizeX) * 2, yPos / this.viewport.sizeY);
 	}
 };
 
+// DOM events to bind builtin input handlers to, where these differ from the name of the handler
+
+jcparallax.Viewport.inputEvents = {
+	mousemove_xcentered : 'mousemove',
+	drag : jcparallax.support.pointerEvents ? 'pointerdown pointermove pointerup pointercancel' : 'touchstart touchmove touchend touchcancel',
+	gesture : 'touchstart touchmove touchend touchcancel',
+	pagescroll : 'scroll'
+};
+
+// elements to bind builtin input handlers to, where these are not the viewport element
+
+jcparallax.Viewport.inputTargets = {
+	deviceorientation : window,
+	pagescroll : window
+};
+
+// builtin input handlers which read their input from the page rather than from the event itself. These are
+// also run when bound and whenever coordinates are refreshed, so that layers are in position before any events fire.
+
+jcparallax.Viewport.passiveInputs = {
+	pagescroll : true
+};
+
+// touch-action CSS applied to the viewport for builtin input handlers which follow touch pointers
+
+jcparallax.Viewport.touchActions = {
+	pointermove : 'none',
+	drag : 'none'
+};
+
+// builtin input handlers which are run on every tick of the viewport's timer instead of being bound to a DOM event.
+// Handlers receive a 'tick' event with the frameDuration in ms. Each is mapped to a callback returning true whilst
+// its input is still changing, to keep the timer running.
+
+jcparallax.Viewport.timedInputs = {
+	timeline : function()
+	{
+		return !!this.timeline && this.timeline.isPlaying();
+	}
+};
+
+// events signifying the pointer entering and leaving the viewport for each pointer-driven DOM input event
+
+jcparallax.Viewport.exitEvents = {
+	mousemove : ['mouseenter', 'mouseleave'],
+	pointermove : ['pointerenter', 'pointerleave']
+};
+
 })(jQuery);
@@ -9,7 +9,9 @@
  * by the browser, to decrease the sampling rate of the mouse (or other) input.
  * This has the effect of dramatically lowering the CPU usage of the effect, reducing
  * stuttering considerably. The resulting animation is usually offloaded to the GPU,
- * resulting in a much higher framerate and smoother effect.
+ * resulting in a much higher framerate and smoother effect. The duration, timing function
+ * ('transitionEasing' option) and property list of each layer's transition are managed by
+ * its viewport.
  *
  * Usage:
  * 		$('#parallax-viewport').jcparallax(options, layerOpts);
@@ -21,7 +23,55 @@
  * 		var p = $('#parallax-viewport').data('jcparallax');
  *
  * Or to call methods directly:
- * 		$('#parallax-viewport').jcparallax('updateLayers', 0.5, 0.5);	// set all layers to their center positions
+ * 		$('#parallax-viewport').jcparallax('setInput', 0.5, 0.5);	// set all layers to their center positions
+ *
+ * Layers can be driven by script as well as by their input handlers, eg. for intros or keyboard control.
+ * Input values range from 0 - 1, and an optional filter limits which layers & animators are affected:
+ * 		$('#parallax-viewport').jcparallax('setInput', 0, 1, { layer : '.foreground', animator : 0 });
+ * 		$('#parallax-viewport').jcparallax('animateTo', 1, 0.5, 2000, 'easeInOut').done(function() {
+ * 			// all layers have arrived
+ * 		});
+ * animateTo() returns a jQuery promise, which is rejected if the animation is interrupted (such as by
+ * the pointer leaving or re-entering the viewport, a drag, pausing, or another call to setInput() or animateTo()),
+ * and straight away if the viewport is paused.
+ * Input events received during animateTo() are ignored until it completes, and input set by setInput() remains
+ * until the next input event. Paused viewports don't redraw until resumed.
+ *
+ * Layers can be added to or removed from a running viewport (eg. as content is loaded):
+ * 		$('#parallax-viewport').jcparallax('addLayers', $('.new-layers'), layerOpts);
+ * 		$('#parallax-viewport').jcparallax('removeLayers', $('.old-layers'));
+ *
+ * To temporarily stop the effect, and start it again:
+ * 		$('#parallax-viewport').jcparallax('pause');
+ * 		$('#parallax-viewport').jcparallax('resume');
+ * 		$('#parallax-viewport').jcparallax('toggle');
+ * 		$('#parallax-viewport').jcparallax('enabled');	// returns false when paused
+ * Layers remain where they are when paused, unless the pauseBehaviour option is set to 'snap' or 'drift'
+ * to return them to their restPosition (drifting over leaveDuration). A behaviour may also be passed to pause() to override the option.
+ * Individual animators may be paused in the same way, leaving other effects on a layer running:
+ * 		$('.layer').data('jcparallax-layer').animators[1].pause('drift');
+ *
+ * Events
+ * ------
+ * 	Viewports and layers trigger jQuery events as they animate, so that other things can be kept in sync
+ * 	with the effect. Layer events bubble up to the viewport element, where e.target is the layer.
+ * 	On viewport elements:
+ * 		jcpstart & jcpstop:	the viewport's timer has started or stopped (when created, paused, resumed or destroyed)
+ * 		jcprefresh:			coordinates have been refreshed
+ * 	On layer elements:
+ * 		jcplayeradd & jcplayerremove:	the layer has been added to or removed from the viewport. e.layer is the Layer.
+ * 		jcpinputchange:		new input has been sampled by one of the layer's animators. Has 'animator',
+ * 							'sampledX' and 'sampledY' properties.
+ * 		jcpbeforeframe:		the layer is about to be redrawn. Has 'css' (the CSS about to be applied, which
+ * 							may be modified) and 'input' (the sampledX, sampledY, processedX & processedY input
+ * 							of each animator) properties. Call e.preventDefault() to skip the frame.
+ * 		jcpframe:			the layer has been redrawn, with the same properties as jcpbeforeframe.
+ * 		$('#parallax-viewport').on('jcpframe', function(e) {
+ * 			audio.pan = e.input[0].processedX * 2 - 1;
+ * 		});
+ *
+ * To remove the effect, unbinding all events and restoring layers to their original styles:
+ * 		$('#parallax-viewport').jcparallax('destroy');
  *
  * Options
  * =======
@@ -30,6 +80,24 @@
  * layer in the layerSelector result. These options, if given, extend the base
  * options supplied to the host viewport.
  *
+ * layerOpts may instead be an object keyed by selector or by the value of each layer's
+ * 'jcp-layer' data attribute, in which case options are applied to all matching layers -
+ * including those added later on with addLayers():
+ * 		$('#parallax-viewport').jcparallax(options, {
+ * 			'.background' : { movementRangeX : [0, 50] },
+ * 			'clouds' : { animHandler : 'background' }		// matches <div data-jcp-layer="clouds">
+ * 		});
+ *
+ * Any option may also be given in markup, on the viewport element or on individual layers, either
+ * as a JSON object in the 'data-jcp' attribute or as individual hyphenated 'data-jcp-' attributes.
+ * Markup takes precedence over options passed from javascript:
+ * 		<div class="jcp-viewport" data-jcp='{"inputHandler" : "scroll", "framerate" : 200}'>
+ * 			<div class="jcp-layer" data-jcp-anim-handler='["position", "rotate"]' data-jcp-depth="2"></div>
+ * 		</div>
+ *
+ * To initialise all '.jcp-viewport' elements once the DOM is ready, set jcparallax.autoInit to true
+ * after including the script. Call jcparallax.init(element) to initialise viewports added later on.
+ *
  * :TODO: document options
  *
  * Layer ranges & range callbacks
@@ -43,12 +111,30 @@
  * 	as are the ranges of layer motion as computed by callbacks passed as these parameters.
  *
  *  To refresh viewports or layers in response to DOM updates, use the refreshCoords() method.
- *  By default, coordinates are refreshed when the screen is resized.
+ *  By default, coordinates are refreshed when the screen is resized. Set the refreshOnResize
+ *  option to false to disable this. The observeResize and observeMutations options additionally
+ *  refresh coordinates when the viewport or its layers change size (eg. as images or fonts load)
+ *  or when content within the viewport changes, in browsers which support ResizeObserver and
+ *  MutationObserver. All of these wait refreshDelay ms for changes to finish before refreshing.
+ *  Layers are redrawn at the last input position after refreshing.
  *
  * 	When present, layer ranges should be given as two-element arrays specifying the minimum and maximum
  * 	values for the range of the layer's movement. How each animation handler interprets these is up to it,
  * 	but is usually fairly straightforward.
  *
+ * 	Range values may be given as CSS lengths with units, eg. ['-10%', '10%'] or ['0', '2em']. These
+ * 	are resolved to pixels whenever coordinates are refreshed - '%' relative to the viewport's size along
+ * 	the range's axis, 'em' to the layer's font size, 'rem' to the root font size and 'vw', 'vh', 'vmin' &
+ * 	'vmax' to the window. Plain numbers are in the animation handler's unit, which is pixels for the builtin handlers.
+ *
+ * 	To keep layouts responsive between refreshes, set the 'movementUnit' option to have layers output
+ * 	lengths in some other unit. Ranges are converted into it when coordinates are refreshed, so layers
+ * 	move the same distances as they would in px. '%' output is relative to whatever CSS measures each
+ * 	property against - the layer's containing block for position, padding, margins & stretch handlers and
+ * 	the layer's own size for translateX & translateY. Handlers whose properties don't accept percentages
+ * 	(background, textShadow, translateZ & perspective) output px instead, and the movementUnit is ignored
+ * 	by handlers which don't output lengths, such as rotation, scale & opacity.
+ *
  * 	The builtin range callbacks are:
  * 		width & height:
  *   		Returns the width and height of the element, as maximum X and Y offsets.
@@ -62,6 +148,38 @@
  * 		opacity:
  * 			Returns the current opacity of the element as the maximum Y offset.
  *
+ * 		stretchWidth & stretchHeight:
+ * 			Returns the original width and height of the element as minimums and the size of the viewport as maximums.
+ *
+ * Combining animators
+ * -------------------
+ * 	When a layer has multiple animators (configured by passing arrays for animHandler, inputHandler etc)
+ * 	which write the same CSS property, their outputs are blended together before being applied. The
+ * 	'blendMode' and 'blendWeight' options control how each animator is combined with the output of
+ * 	the animators before it, and can also be given as arrays to configure each animator separately.
+ * 	Since ranges are arrays themselves, movementRangeX and movementRangeY are only read per animator
+ * 	when given as an array of ranges, range calculator names or true (to autodetect) - eg. [true, [-20, 20]].
+ * 	A plain pair of values such as [0, 50] or ['-10%', '10%'] is a single range for every animator.
+ *
+ * 	The builtin blend modes are:
+ * 		add:
+ * 			Adds the animator's output to the previous value, scaled by blendWeight. The first animator's
+ * 			output is scaled by its blendWeight too.
+ *
+ * 		average: (default)
+ * 			Takes the mean of all animator outputs.
+ *
+ * 		weighted:
+ * 			Takes the mean of all animator outputs, weighted by each animator's blendWeight.
+ *
+ * 		multiply:
+ * 			Multiplies the previous value by the animator's output.
+ *
+ * 		max & min:
+ * 			Takes the largest or smallest of the previous value and the animator's output.
+ *
+ * 	Custom blend callbacks may also be provided - @see jcparallax.Layer.blendModes
+ *
  * Input handlers
  * --------------
  * 	Control the input for the parallax effect. These are simply functions which return
@@ -72,13 +190,120 @@
  * 		mousemove:
  * 			Receives and handles mouse coordinates (either document relative,
  * 			or relative to some viewport element).
+ * 			When the mouse leaves the viewport, layers stay where they are by default. Set the
+ * 			'leaveBehaviour' option to 'snap' or 'drift' to return them to 'restPosition' instantly
+ * 			or over 'leaveDuration' ms. Setting 'enterDuration' eases layers from their current
+ * 			position to the mouse when it re-enters, rather than jumping. Any drift stops when it returns.
  *
  * 		scroll:
  * 			Reads the scrollTop and scrollLeft properties of an element.
  *
+ * 		pagescroll:
+ * 			Reads the progress of the viewport element through the window as the page is scrolled.
+ * 			Input is 0 when the element enters the window at the bottom (or right) edge and 1 when
+ * 			it leaves at the top (or left), with the Y axis following vertical scrolling and the X axis
+ * 			horizontal scrolling. The 'pageScrollOffsets' option gives distances in px inside the window's
+ * 			bottom / right and top / left edges at which input begins and ends. Input is read immediately
+ * 			and whenever coordinates are refreshed, so layers are positioned before the page scrolls.
+ *
+ * 		pointermove & touchmove:
+ * 			The same as mousemove, but reading pointer or touch event coordinates so that layers
+ * 			follow a finger or stylus on touch devices. pointermove sets 'touch-action: none' on the viewport
+ * 			so that touches aren't taken over for scrolling the page, restoring the viewport's own inline
+ * 			touch-action once no layers use pointermove or drag.
+ *
+ * 		drag:
+ * 			Pans the input in response to dragging with a pointer or finger, as if scrolling the viewport.
+ * 			Input continues to move with momentum after release, slowing according to 'dragFriction'.
+ * 			The pointer is captured during the drag so that it ends wherever the pointer is released, and
+ * 			'touch-action: none' is set on the viewport so that touch browsers don't scroll the page instead.
+ *
+ * 		gesture:
+ * 			Reads two-finger touch gestures. The pinch scale is mapped onto the X axis over 'pinchRange'
+ * 			and two-finger rotation (in degrees) onto the Y axis over 'rotateRange'.
+ *
+ * 		deviceorientation:
+ * 			Reads device tilt, mapping left-right tilt to the X axis and front-back tilt to the Y axis.
+ * 			'tiltRange' degrees either side of the neutral pose covers the full input range. The neutral
+ * 			pose is taken from the first reading, and can be reset by calling calibrate() on the viewport.
+ * 			Axes are swapped and inverted to follow the screen orientation.
+ *
  *		click:
- *			(:TODO:) transitions smoothly between layer positions based on the
- *			coordinates of click events on the viewport element.
+ *			Transitions smoothly between layer positions based on the coordinates of click
+ *			events on the viewport element. The 'clickDuration' and 'clickEasing' options control
+ *			the transition, which is advanced by the viewport's animation timer. Clicking again
+ *			while a transition is running redirects it toward the new position.
+ *
+ * 		timeline:
+ * 			Plays back keyframed input over time, for ambient or scripted sequences. Rather than being bound
+ * 			to a DOM event, the timeline is advanced on every tick of the viewport's timer. Keyframes and
+ * 			playback settings are given by the 'timeline' option (see jcp-timeline.js for details):
+ * 				timeline : {
+ * 					keyframes : [
+ * 						{ time : 0, x : 0, y : 0.5, easing : 'easeInOut' },	// easing applies until the next keyframe
+ * 						{ time : 4000, x : 1, y : 0.5 }
+ * 					],
+ * 					loop : true,		// true to repeat forever, or the number of times to play
+ * 					pingPong : true,	// reverse at each end
+ * 					playbackRate : 1,
+ * 					autoplay : true
+ * 				}
+ * 			Playback is controlled with these viewport methods, each of which also accepts a filter (see setInput()):
+ * 				$('#parallax-viewport').jcparallax('playTimeline');
+ * 				$('#parallax-viewport').jcparallax('pauseTimeline');
+ * 				$('#parallax-viewport').jcparallax('seekTimeline', 2000);	// in ms
+ * 				$('#parallax-viewport').jcparallax('setTimelineRate', -0.5);	// negative plays backwards
+ * 			Give layers a second animator to have them drift on a timeline while also following the mouse. Its
+ * 			range is an offset either side of 0, which is added to the position following the mouse:
+ * 				$('#parallax-viewport').jcparallax({
+ * 					inputHandler : ['mousemove', 'timeline'],
+ * 					movementRangeX : [true, [-20, 20]],		// autodetect the mouse range, drift 20px either way
+ * 					movementRangeY : [true, [-10, 10]],
+ * 					blendMode : 'add',
+ * 					timeline : { keyframes : [...], loop : true, pingPong : true }
+ * 				});
+ *
+ * Input smoothing
+ * ---------------
+ * 	By default, layers are moved directly to the latest sampled input on each frame and CSS transitions
+ * 	tween between frames. The 'smoothing' option adds a physics model between the sampled input and the
+ * 	values rendered, advanced on every tick of the viewport's timer (in both CSS and fallback modes):
+ * 		spring:
+ * 			A critically damped spring, which catches up to the input smoothly without overshooting.
+ *
+ * 		follow:
+ * 			Exponential follow, which covers a fixed proportion of the remaining distance over time.
+ *
+ * 		inertia:
+ * 			Accelerates toward the input and slows according to 'smoothingFriction', and may overshoot.
+ *
+ * 	'smoothingTime' sets roughly how long each model takes to catch up, in ms. Giving deeper layers
+ * 	longer times makes them feel heavier.
+ *
+ * Response curves
+ * ---------------
+ * 	Input is mapped linearly onto layer ranges unless 'responseX' or 'responseY' are given. These
+ * 	pass each axis through a curve on its way to the animation handler, given as an object with any of
+ * 	'clamp' (sub-range of input to stretch over the full range), 'mirror', 'deadZone' (proportion of
+ * 	input around the centre to hold still), 'invert', 'easing' (name, 'cubic-bezier()' string or callback)
+ * 	and 'steps' (number of positions to quantize to). Presets are defined in jcparallax.Animator.responseCurves.
+ * 	'swapAxes' swaps the X and Y input beforehand.
+ * 		$('#parallax-viewport').jcparallax({
+ * 			responseX : { clamp : [0.5, 1], easing : 'cubic-bezier(0.4, 0, 0.2, 1)' },	// start moving after the centre
+ * 			responseY : 'inverted'
+ * 		});
+ *
+ * Layer depth
+ * -----------
+ * 	Rather than tuning the range of each layer, layers may be given a 'depth' option or 'jcp-depth'
+ * 	data attribute. Layers at 'focalDepth' (1 by default) move through their full ranges, and other
+ * 	layers' ranges are scaled about their centres in inverse proportion to their depth - so a layer at
+ * 	depth 3 moves a third as far. Setting 'cameraDistance' uses perspective-correct scaling instead, with
+ * 	depths measured behind the screen and a virtual camera that far in front of it.
+ * 		<div class="jcp-layer" data-jcp-depth="4"></div>
+ *
+ * 	'depthScale' additionally scales layers by the same factor, and 'depthBlur' blurs them by that many px
+ * 	for each unit of depth they are away from the focal plane. Depth is re-read when coordinates are refreshed.
  *
  * Animation handlers
  * ------------------
@@ -100,19 +325,57 @@
  *    		Animates the background-position attribute of target elements to achieve the same effect as position.
  *    		This handler causes the target element's background image to shift to achieve the parallax effect.
  *
- * 		stretch:
+ * 		stretch, stretchX & stretchY:
  * 			Animate the width and / or height attribute of the target elements. This handler can be used to stretch any
  * 			element aligned horizontally or vertically with the perspective plane of your designs, to achieve a faux-3d effect.
+ * 			stretchX and stretchY animate only the width or height respectively.
  *
  *    	textShadow: (css mode not supported in opera, blur not working in safari but not being animated)
  *    		Animates the text-shadow's position attribute of the target elements.
- *    		This handler causes the text shadow of an element to move in parallax.
+ *    		This handler causes the text shadow of an element to move in parallax. The element's existing shadows
+ *    		keep their colour and blur, and are all offset together.
+ *
+ * 		translateX, translateY & translateZ: (translateZ requires 3d transforms)
+ * 			Animates the layer's transform to translate it along each axis. translateX follows the X
+ * 			input and translateY the Y input. translateZ follows the Y input.
+ *
+ * 		rotate, rotateX & rotateY: (rotateX & rotateY require 3d transforms)
+ * 			Rotates the layer. rotate follows the X input, rotateX tilts the layer about its horizontal
+ * 			axis in response to the Y input and rotateY about its vertical axis in response to the X input.
+ * 			Xrotate and Yrotate rotate the layer in response to the X and Y input respectively.
+ *
+ * 		scale:
+ * 			Scales the layer uniformly in response to the Y input.
+ *
+ * 		skew:
+ * 			Skews the layer along both axes in response to each input axis.
+ *
+ * 		perspective: (requires 3d transforms)
+ * 			Animates the perspective distance applied to the layer's other 3d transforms in response to
+ * 			the Y input.
+ *
+ * 		All transform handlers contribute components to a single transform property which is composed
+ * 		by the layer in a fixed order, so any number of them may be combined on the same layer.
  *
  * 		opacity:
  * 			Possibly quirky, this handler is supplied anyway for animating the opacity of elements
  * 			in response to a parallax effect. This could be useful for fading out layers as they cross
  * 			or other such effects. Only responds to one axis of motion.
  *
+ * 	Custom handlers may be passed as the animHandler option or added to jcparallax.Animator.animHandlers,
+ * 	either as a plain output callback or as a descriptor which also declares default range calculators
+ * 	for each input handler, an output unit and whether the output can be transitioned:
+ * 		jcparallax.Animator.animHandlers.letterSpacing = {
+ * 			ranges : { 'default' : [[0, 0], [0, 0.5]] },	// plain numbers are in the handler's unit
+ * 			unit : 'em',
+ * 			transitionable : true,
+ * 			output : function(xVal, yVal) {
+ * 				return { 'letter-spacing' : this.minY + yVal * this.rangeY };
+ * 			}
+ * 		};
+ * 	Handlers without ranges default to a range of 0 - 1 on each axis. Layers using handlers which can't
+ * 	be transitioned are animated in fallback mode.
+ *
  * @requires	jquery 1.7.1	http://jquery.com
  * @requires	js-parallax.css
  *
@@ -133,8 +396,10 @@ $.extend(jcparallax, {
 
 	viewportStorageKey : 'jcparallax-viewport',
 	layerStorageKey :	 'jcparallax-layer',
+	transitionStorageKey : 'jcparallax-transition',
 
 	eventNamespace : 	 '.jcparallax',
+	eventPrefix :		 'jcp',		// prefix for the names of events triggered by the engine, eg. 'jcpframe'
 
 	jsDomPrefixes :		 'Moz O Webkit ms'.split(' '),
 	cssDomPrefixes :	 '-moz- -o- -webkit- -ms-'.split(' '),
@@ -145,7 +410,8 @@ $.extend(jcparallax, {
 		var ok = false,		// transitions supported at all
 			bgOk = true,	// background-position transition supported (not in opera as of 22/6/12 @see http://www.quirksmode.org/css/transitions.html)
 			tsOk = true,	// text-shadow transition supported (not in opera)
-			trOk = false,	// CSS 2d transforms support	:TODO: 3d transforms, though probably not necessary if combining outputs to achieve a result, could be added..
+			trOk = false,	// CSS 2d transforms support
+			tr3dOk = false,	// CSS 3d transforms support (perspective, translateZ, rotateX & rotateY)
 			toOk = false,	// transform-origin CSS support for transforms
 
 			eventNames = {	// mapping of js DOM prefixes to the transition event needed by TransitionInterval to signify the end of a transition
@@ -155,12 +421,29 @@ $.extend(jcparallax, {
 				msTransition:     'MSTransitionEnd'
 			},
 
-			returnSupport = function(_ok, _bgOk, _tsOk, _trOk, _toOk) {
+			// requestAnimationFrame support, used for timing fallback animation
+			rafName = (function() {
+				var names = ['requestAnimationFrame'].concat($.map(jcparallax.jsDomPrefixes, function(prefix) {
+					return prefix.toLowerCase() + 'RequestAnimationFrame';
+				}));
+				for (var i = 0; i < names.length; ++i) {
+					if (window[names[i]]) {
+						return names[i];
+					}
+				}
+				return false;
+			})(),
+
+			returnSupport = function(_ok, _bgOk, _tsOk, _trOk, _toOk, _tr3dOk) {
 				return {
+					animationFrames : rafName,
+					pointerEvents : !!window.PointerEvent,
+					touchEvents : 'ontouchstart' in window,
 					transitions : !!_ok,
 					backgroundTransitions : _bgOk || false,
 					textShadowTransitions : _tsOk || false,
 					transforms : _trOk || false,
+					transforms3d : (_trOk && _tr3dOk) || false,
 					transformOrigin : _toOk || false,
 					transitionEndEvent : _ok ? eventNames[_ok] + jcparallax.eventNamespace : null
 				};
@@ -176,6 +459,7 @@ $.extend(jcparallax, {
 			var props = ('Transition ' + jcparallax.jsDomPrefixes.join('Transition ') + 'Transition').split(' '),
 				originProps = ('TransformOrigin ' + jcparallax.jsDomPrefixes.join('TransformOrigin ') + 'TransformOrigin').split(' '),
 				transformProps = ('Transform ' + jcparallax.jsDomPrefixes.join('Transform ') + 'Transform').split(' '),
+				perspectiveProps = ('Perspective ' + jcparallax.jsDomPrefixes.join('Perspective ') + 'Perspective').split(' '),
 				testEl = document.createElement('jcparallax'),
     			styleObj = testEl.style;
 
@@ -191,6 +475,12 @@ $.extend(jcparallax, {
 					break;
 				}
 			}
+			for (var i in perspectiveProps) {
+				if (styleObj[ perspectiveProps[i] ] !== undefined) {
+					tr3dOk = perspectiveProps[i];
+					break;
+				}
+			}
 			for (var i in originProps) {
 				if (styleObj[ originProps[i] ] !== undefined) {
 					toOk = originProps[i];
@@ -205,11 +495,259 @@ $.extend(jcparallax, {
 			}
 		}
 
-		return returnSupport(ok, bgOk, tsOk, trOk, toOk);
+		return returnSupport(ok, bgOk, tsOk, trOk, toOk, tr3dOk);
 	}
 });
 jcparallax.support = jcparallax.detectSupport();
 
+//------------------------------------------------------------------------------
+// CSS value parsing
+//------------------------------------------------------------------------------
+
+$.extend(jcparallax, {
+
+	/**
+	 * Converts a CSS length value into a number of pixels.
+	 * Understands px, em, rem, %, vw, vh, vmin & vmax units as well as the 'normal' keyword
+	 * used for line-height. Unitless numbers are returned as-is.
+	 *
+	 * @param  {mixed}  val          CSS value to parse
+	 * @param  {jQuery} el           element to resolve em units against
+	 * @param  {float}  percentBasis (optional) length in px which 100% is relative to
+	 * @return {float} pixel value, or NaN if the value could not be interpreted
+	 */
+	parseLength : function(val, el, percentBasis)
+	{
+		if (typeof val == 'number') {
+			return val;
+		}
+
+		var matches;
+
+		val = $.trim(val + '');
+
+		if (val == 'normal') {
+			return el ? jcparallax.unitSize('em', el) * 1.2 : NaN;	// approximation of browser default line-height
+		}
+
+		matches = val.match(/^(-?[\d.]+)(px|em|rem|%|vw|vh|vmin|vmax)?$/);
+		if (!matches) {
+			return NaN;
+		}
+
+		return parseFloat(matches[1]) * jcparallax.unitSize(matches[2] || 'px', el, percentBasis);
+	},
+
+	/**
+	 * Convert a style property name as used by jQuery .css() (eg. 'WebkitTransform' or 'padding-left')
+	 * into its CSS name, for use in property lists such as transition-property.
+	 *
+	 * @param  {string} name
+	 * @return {string}
+	 */
+	cssPropertyName : function(name)
+	{
+		name = name.replace(/([A-Z])/g, '-$1').toLowerCase();
+
+		if (/^ms-/.test(name)) {
+			return '-' + name;
+		}
+		if (name.charAt(0) == '-' && !/^-(moz|o|webkit)-/.test(name)) {
+			return name.substr(1);
+		}
+		return name;
+	},
+
+	/**
+	 * Determine the size of a single CSS length unit in pixels.
+	 *
+	 * @param  {string} unit         px, em, rem, %, vw, vh, vmin or vmax
+	 * @param  {jQuery} el           element to resolve em units against
+	 * @param  {float}  percentBasis (optional) length in px which 100% is relative to
+	 * @return {float} pixels per unit, or NaN if the unit could not be resolved
+	 */
+	unitSize : function(unit, el, percentBasis)
+	{
+		var fontSize = function(target) {
+				return parseFloat(target.css('font-size')) || 16;
+			},
+			win = $(window);
+
+		switch (unit) {
+			case 'px':
+			case '':
+				return 1;
+			case 'em':
+				return el ? fontSize(el) : NaN;
+			case 'rem':
+				return fontSize($(document.documentElement));
+			case '%':
+				return percentBasis === undefined ? NaN : percentBasis / 100;
+			case 'vw':
+				return win.width() / 100;
+			case 'vh':
+				return win.height() / 100;
+			case 'vmin':
+				return Math.min(win.width(), win.height()) / 100;
+			case 'vmax':
+				return Math.max(win.width(), win.height()) / 100;
+		}
+		return NaN;
+	},
+
+	/**
+	 * Split a comma-separated CSS value list, such as transition-property or text-shadow, into
+	 * its items. Commas inside functions (eg. rgba() or cubic-bezier()) don't separate items.
+	 *
+	 * @param  {string} val
+	 * @return {array} trimmed items
+	 */
+	splitCssList : function(val)
+	{
+		var parts = [],
+			depth = 0,
+			start = 0,
+			i, c;
+
+		val = val || '';
+
+		for (i = 0; i < val.length; ++i) {
+			c = val.charAt(i);
+			if (c == '(') {
+				++depth;
+			} else if (c == ')') {
+				--depth;
+			} else if (c == ',' && !depth) {
+				parts.push($.trim(val.substring(start, i)));
+				start = i + 1;
+			}
+		}
+		parts.push($.trim(val.substring(start)));
+
+		return parts;
+	},
+
+	/**
+	 * Parses a text-shadow CSS value into its component shadows.
+	 *
+	 * @param  {string} val text-shadow value, possibly containing multiple comma-separated shadows
+	 * @param  {jQuery} el  element to resolve relative units against
+	 * @return {array} objects with color, x, y and blur properties for each shadow
+	 */
+	parseTextShadow : function(val, el)
+	{
+		var shadows = [];
+
+		val = $.trim(val || '');
+		if (!val || val == 'none') {
+			return shadows;
+		}
+
+		$.each(jcparallax.splitCssList(val), function(i, shadow) {
+			var tokens = shadow.match(/[a-z-]+\([^)]*\)|[^\s]+/gi) || [],
+				lengths = [],
+				color = [];
+
+			$.each(tokens, function(j, token) {
+				var len = jcparallax.parseLength(token, el);
+				if (isNaN(len)) {
+					color.push(token);
+				} else {
+					lengths.push(len);
+				}
+			});
+
+			shadows.push({
+				color : color.join(' '),
+				x : lengths[0] || 0,
+				y : lengths[1] || 0,
+				blur : lengths[2] || 0
+			});
+		});
+
+		return shadows;
+	}
+});
+
+//------------------------------------------------------------------------------
+// Events
+//------------------------------------------------------------------------------
+
+/**
+ * Trigger an engine event on a viewport or layer element
+ *
+ * @param  {jQuery} el    element to trigger the event on. Events bubble as normal DOM events do.
+ * @param  {string} name  name of the event, without jcparallax.eventPrefix
+ * @param  {object} props properties to add to the event object
+ * @return {jQuery.Event} the triggered event, for checking whether it was cancelled
+ */
+jcparallax.trigger = function(el, name, props)
+{
+	var evt = $.Event(jcparallax.eventPrefix + name, props);
+
+	el.trigger(evt);
+	return evt;
+};
+
+//------------------------------------------------------------------------------
+// Markup configuration
+//------------------------------------------------------------------------------
+
+$.extend(jcparallax, {
+
+	viewportSelector : '.jcp-viewport',
+	autoInit : false,		// set to true to initialise all viewports in the document when the DOM is ready
+
+	/**
+	 * Read viewport or layer options from an element's markup. Options may be given as a JSON object
+	 * in the 'jcp' data attribute, or individually as data attributes prefixed with 'jcp-' and
+	 * hyphenated, eg. data-jcp-input-handler="scroll". Individual attributes take precedence.
+	 * Values are interpreted as by jQuery's .data(), so numbers, booleans and JSON arrays may be used.
+	 *
+	 * @param  {jQuery} el
+	 * @return {object}
+	 */
+	readMarkupOptions : function(el)
+	{
+		var data = el.data(),
+			options = $.isPlainObject(data.jcp) ? $.extend({}, data.jcp) : {},
+			key;
+
+		for (key in data) {
+			if (/^jcp[A-Z]/.test(key)) {
+				options[key.charAt(3).toLowerCase() + key.substr(4)] = data[key];
+			}
+		}
+
+		return options;
+	},
+
+	/**
+	 * Initialise all viewport elements within some part of the document which haven't been already.
+	 * Viewports are configured from their markup - @see readMarkupOptions()
+	 *
+	 * @param {mixed} context (optional) element or selector to search within, including the element itself. Defaults to the document.
+	 */
+	init : function(context)
+	{
+		context = $(context || document);
+
+		context.find(jcparallax.viewportSelector).add(context.filter(jcparallax.viewportSelector)).each(function() {
+			var el = $(this);
+
+			if (!el.data(jcparallax.viewportStorageKey)) {
+				el.jcparallax();
+			}
+		});
+	}
+});
+
+$(function() {
+	if (jcparallax.autoInit) {
+		jcparallax.init();
+	}
+});
+
 //------------------------------------------------------------------------------
 // jQuery integration layer
 //------------------------------------------------------------------------------